@@ -0,0 +1,131 @@
+/**
+ * adaptive.js — Adaptive vs Computer difficulty.
+ *
+ * The player's rating is the point on the difficulty scale (computer.js
+ * profileForLevel(): 0 = easy … 3 = genius) where they would win half their
+ * games. It is fitted to their recent vs Computer results with a logistic
+ * model — each step up the scale cuts the odds of winning by the same
+ * factor — pulled toward medium while there are few games to go on. A game
+ * then starts at the level that gives the chosen win rate, and during the
+ * match the level follows the player's pace: finding Sets faster than their
+ * usual time speeds the computer up, slower slows it down.
+ *
+ * No DOM access — play.js keeps the state with the game and saves the
+ * rating in the game record; history.js charts it.
+ */
+
+import { DIFFICULTY_LEVELS } from './computer.js';
+
+/** Highest point on the difficulty scale (genius). */
+export const MAX_LEVEL = DIFFICULTY_LEVELS.length - 1;
+
+/** vs Computer games the rating is fitted to, most recent first. */
+const RECENT_GAMES = 20;
+
+/** Levels over which the odds of winning change by a factor of e. */
+const WIN_SLOPE = 0.5;
+
+/** The rating before any games (medium), and how far the first results can move it. */
+const PRIOR_RATING = 1;
+const PRIOR_SD     = 1;
+
+/** Player Sets averaged for the in-match pace, and how strongly pace moves the level. */
+const PACE_WINDOW = 3;
+const PACE_GAIN   = 0.6;
+const MAX_PACE_SHIFT = 0.75;
+
+const clampLevel = level => Math.min(MAX_LEVEL, Math.max(0, level));
+
+/**
+ * Where a finished vs Computer game sat on the difficulty scale: the level
+ * it was played at, or its fixed difficulty for records saved before levels.
+ * @param {Object} game  Game record
+ * @returns {number|null}
+ */
+export function gameLevel(game) {
+  if (game.computerLevel != null) return game.computerLevel;
+  const index = DIFFICULTY_LEVELS.indexOf(game.difficulty);
+  return index === -1 ? null : index;
+}
+
+/**
+ * Chance of beating the computer at a level, for a player with a rating.
+ * @param {number} rating
+ * @param {number} level
+ * @returns {number}
+ */
+function winChance(rating, level) {
+  return 1 / (1 + Math.exp((level - rating) / WIN_SLOPE));
+}
+
+/**
+ * Fit the player's rating to their recent vs Computer games and pick the
+ * starting level for a target win rate.
+ * @param {Object[]} games       Game records, newest first (db.js getGames())
+ * @param {number}   targetWinRate  0–1, e.g. 0.5
+ * @returns {{ rating: number, level: number, baselineMs: number|null, games: number }}
+ *   baselineMs: the player's average Set time over those games, for matchLevel()
+ */
+export function calibrate(games, targetWinRate) {
+  const recent = games
+    .filter(g => g.gameMode === 'vs-computer' && g.outcome && gameLevel(g) !== null)
+    .slice(0, RECENT_GAMES);
+  const results = recent.map(g => ({
+    level: gameLevel(g),
+    score: g.outcome === 'win' ? 1 : g.outcome === 'tie' ? 0.5 : 0,
+  }));
+
+  // Maximum a posteriori over a fine grid — cheap, and never diverges on all-win records
+  let rating = PRIOR_RATING;
+  let best   = -Infinity;
+  for (let step = -100; step <= (MAX_LEVEL + 1) * 100; step++) {
+    const r = step / 100;
+    let logLikelihood = -((r - PRIOR_RATING) ** 2) / (2 * PRIOR_SD ** 2);
+    for (const { level, score } of results) {
+      const p = winChance(r, level);
+      logLikelihood += score * Math.log(p) + (1 - score) * Math.log(1 - p);
+    }
+    if (logLikelihood > best) {
+      best   = logLikelihood;
+      rating = r;
+    }
+  }
+
+  const times = recent.flatMap(g => g.setTimesMs ?? []);
+  return {
+    rating,
+    level:      clampLevel(rating + WIN_SLOPE * Math.log((1 - targetWinRate) / targetWinRate)),
+    baselineMs: times.length ? times.reduce((s, ms) => s + ms, 0) / times.length : null,
+    games:      recent.length,
+  };
+}
+
+/**
+ * The level for the rest of a match: the starting level shifted by how the
+ * player's last few Set times compare with their usual time.
+ * @param {number}      startLevel
+ * @param {number|null} baselineMs  From calibrate(); null keeps the starting level
+ * @param {number[]}    setTimes    The player's Set times so far this match
+ * @returns {number}
+ */
+export function matchLevel(startLevel, baselineMs, setTimes) {
+  if (baselineMs == null || setTimes.length === 0) return startLevel;
+  const recent = setTimes.slice(-PACE_WINDOW);
+  const pace   = recent.reduce((s, ms) => s + ms, 0) / recent.length;
+  const shift  = Math.min(MAX_PACE_SHIFT, Math.max(-MAX_PACE_SHIFT, PACE_GAIN * Math.log(baselineMs / pace)));
+  return clampLevel(startLevel + shift);
+}
+
+/**
+ * Name a point on the difficulty scale: "Medium", or "Medium–Hard" between two.
+ * @param {number} level
+ * @returns {string}
+ */
+export function describeLevel(level) {
+  const name   = i => DIFFICULTY_LEVELS[i].charAt(0).toUpperCase() + DIFFICULTY_LEVELS[i].slice(1);
+  const lower  = Math.floor(clampLevel(level));
+  const t      = clampLevel(level) - lower;
+  if (t < 0.25 || lower === MAX_LEVEL) return name(lower);
+  if (t > 0.75) return name(lower + 1);
+  return `${name(lower)}–${name(lower + 1)}`;
+}
@@ -0,0 +1,126 @@
+/**
+ * analysis.js — Round-by-round analysis of a finished game.
+ *
+ * Replays a game's event log (game-log.js) and, for every claimed Set,
+ * reports the board at that moment, every Set it held, the one taken, the
+ * ones left unspotted, and how long the board had been up. Summaries group
+ * those times by how many Sets were available and by how many features of
+ * the taken Set were all different, showing whether a player is slow on
+ * sparse boards or on all-different Sets.
+ *
+ * No DOM access — play.js renders the results in the game-over modal.
+ */
+
+import { findAllSets, explainSet } from './set-logic.js';
+import { applyToBoard } from './game-log.js';
+
+/** Boards with this many Sets or more share one bucket in the summary. */
+const MAX_SET_COUNT_BUCKET = 5;
+
+/**
+ * Features (0–4) whose values are all different across a Set's cards.
+ * @param {object[]} set  Three cards
+ * @returns {number}
+ */
+function differentFeatureCount(set) {
+  return explainSet(...set).features.filter(f => f.kind === 'different').length;
+}
+
+/**
+ * Walk an event log and describe each claimed Set.
+ *
+ * A round runs from the last change to the board (a deal or a claim) to the
+ * claim that ends it. In a Daily Puzzle the board never changes, so Sets
+ * found earlier are not counted as available.
+ *
+ * @param {Object[]} entries          Event log from createGameLog()
+ * @param {Object}   [options]
+ * @param {boolean}  [options.puzzle]  Daily Puzzle log
+ * @returns {Array<{
+ *   number: number, by: string, timeMs: number, atMs: number,
+ *   board: object[], sets: object[][], taken: object[], missed: object[][],
+ *   differing: number
+ * }>}  taken and every entry of sets/missed hold cards from board
+ */
+export function analyzeRounds(entries, { puzzle = false } = {}) {
+  const board  = [];
+  const found  = []; // puzzle games: Sets already found, as sorted index keys
+  const rounds = [];
+  let since = 0;     // game time of the last board change
+
+  for (const entry of entries) {
+    if (entry.type === 'deal') {
+      applyToBoard(board, entry);
+      since = entry.t;
+      continue;
+    }
+    if (entry.type !== 'claim') continue;
+
+    const snapshot = board.slice();
+    const taken    = entry.indices.map(i => snapshot[i]);
+    const sets     = findAllSets(snapshot).filter(set => !found.includes(setKey(set, snapshot)));
+    rounds.push({
+      number:    rounds.length + 1,
+      by:        entry.by,
+      timeMs:    entry.t - since,
+      atMs:      entry.t,
+      board:     snapshot,
+      sets,
+      taken,
+      missed:    sets.filter(set => !set.every(card => taken.includes(card))),
+      differing: differentFeatureCount(taken),
+    });
+
+    if (puzzle) found.push(setKey(taken, snapshot));
+    applyToBoard(board, entry, { puzzle });
+    since = entry.t;
+  }
+  return rounds;
+}
+
+/**
+ * Identify a Set on a board by its sorted card positions.
+ * @param {object[]} set
+ * @param {object[]} board
+ * @returns {string}
+ */
+function setKey(set, board) {
+  return set.map(card => board.indexOf(card)).sort((a, b) => a - b).join(',');
+}
+
+/**
+ * Average round time grouped two ways, over the rounds a filter keeps.
+ * Buckets with no rounds are left out.
+ * @param {Object[]} rounds               From analyzeRounds()
+ * @param {(by: string) => boolean} keep  Which claimants to include (e.g. only the player)
+ * @returns {{
+ *   bySetCount:  Array<{ sets: number, orMore: boolean, rounds: number, avgMs: number }>,
+ *   byDiffering: Array<{ differing: number, rounds: number, avgMs: number }>
+ * }}
+ */
+export function summarizeRounds(rounds, keep) {
+  const mine = rounds.filter(round => keep(round.by));
+
+  const bySetCount = [];
+  for (let sets = 1; sets <= MAX_SET_COUNT_BUCKET; sets++) {
+    const orMore = sets === MAX_SET_COUNT_BUCKET;
+    const group  = mine.filter(r => (orMore ? r.sets.length >= sets : r.sets.length === sets));
+    if (group.length) bySetCount.push({ sets, orMore, rounds: group.length, avgMs: averageTime(group) });
+  }
+
+  const byDiffering = [];
+  for (let differing = 1; differing <= 4; differing++) {
+    const group = mine.filter(r => r.differing === differing);
+    if (group.length) byDiffering.push({ differing, rounds: group.length, avgMs: averageTime(group) });
+  }
+
+  return { bySetCount, byDiffering };
+}
+
+/**
+ * @param {Object[]} rounds  Non-empty
+ * @returns {number} Mean timeMs
+ */
+function averageTime(rounds) {
+  return rounds.reduce((sum, r) => sum + r.timeMs, 0) / rounds.length;
+}
@@ -0,0 +1,149 @@
+/**
+ * animations.js — Card animations shared by the play and replay pages.
+ *
+ * Deal-in uses the .dealing CSS keyframes; fly-to-score clones the cards into
+ * fixed-position elements and transitions them onto a score card, which
+ * pulses as they land. The timing constants are exported so callers can
+ * stagger and wait on the same beats.
+ *
+ * The animation speed setting (prefs.js) scales every duration and delay:
+ * here, in style.css through --animation-scale, and in callers' waits
+ * through animationMs().
+ */
+
+import { getPref, onPrefsChange } from './prefs.js';
+
+// ── Timing Constants (ms) ───────────────────────────────────
+export const DEAL_STAGGER_MS        = 80;   // delay between successive cards dealing in
+export const REPLACE_STAGGER_MS     = 70;   // delay between successive cards replacing
+export const ERROR_FLASH_MS         = 650;  // error flash animation duration
+const FLY_DURATION_MS               = 350;  // CSS transition duration per card clone
+const FLY_STAGGER_MS                = 70;   // ms between launching successive clones
+const FLY_CALLBACK_BUFFER_MS        = 40;   // ms after last clone lands before onComplete fires
+const CLONE_CLEANUP_MS              = 20;   // ms after each clone's flight before it's removed
+const PULSE_LEAD_MS                 = 60;   // ms before last clone lands that score pulse fires
+
+// ── Speed ─────────────────────────────────────────────────────
+/** Animation speed settings: a label for pickers and a multiplier on every duration. */
+export const ANIMATION_SPEEDS = {
+  slow:   { label: 'Slow',   scale: 1.6 },
+  normal: { label: 'Normal', scale: 1 },
+  fast:   { label: 'Fast',   scale: 0.5 },
+};
+
+/** @returns {number}  Multiplier for the current speed setting */
+function animationScale() {
+  return (ANIMATION_SPEEDS[getPref('animationSpeed')] ?? ANIMATION_SPEEDS.normal).scale;
+}
+
+/**
+ * A duration or delay at the current animation speed.
+ * @param {number} ms  At normal speed
+ * @returns {number}
+ */
+export function animationMs(ms) {
+  return ms * animationScale();
+}
+
+/** Hand the multiplier to the CSS animations. */
+function applyAnimationSpeed() {
+  document.documentElement.style.setProperty('--animation-scale', String(animationScale()));
+}
+
+applyAnimationSpeed();
+onPrefsChange(keys => {
+  if (keys.includes('animationSpeed')) applyAnimationSpeed();
+});
+
+/** Returns a random rotation between -2 and +2 degrees (2 decimal places). */
+export function randomRotation() {
+  return (Math.random() * 4 - 2).toFixed(2) + 'deg';
+}
+
+// ── Fly-to-Score Animation ────────────────────────────────────
+/**
+ * Clone the matched card elements, fly them to a score card, then call onComplete.
+ * The originals are made invisible (but hold grid space) during the flight.
+ * @param {Element[]} els        The 3 matched card DOM elements.
+ * @param {Element}   targetEl   The score card element to fly toward.
+ * @param {Function}  onComplete Called after the animation finishes.
+ */
+export function flyCardsToScore(els, targetEl, onComplete) {
+  const duration = animationMs(FLY_DURATION_MS);
+  const stagger  = animationMs(FLY_STAGGER_MS);
+  const targetRect = targetEl.getBoundingClientRect();
+  const targetCX   = targetRect.left + targetRect.width  / 2;
+  const targetCY   = targetRect.top  + targetRect.height / 2;
+
+  // Stagger: last clone lands at t = stagger * 2 + duration
+  const TOTAL_MS = stagger * (els.length - 1) + duration + FLY_CALLBACK_BUFFER_MS;
+
+  els.forEach((el, i) => {
+    // Snapshot position and clone BEFORE hiding the original so the
+    // clone doesn't inherit the .flying class (which sets opacity: 0).
+    const cardRect = el.getBoundingClientRect();
+    const cardCX   = cardRect.left + cardRect.width  / 2;
+    const cardCY   = cardRect.top  + cardRect.height / 2;
+
+    const clone = el.cloneNode(true);
+    const rotation = el.style.getPropertyValue('--card-rotate');
+
+    // Hide original now (after cloning) — keeps grid space intact
+    el.classList.add('flying');
+    clone.style.cssText = `
+      position: fixed;
+      left: ${cardRect.left}px;
+      top:  ${cardRect.top}px;
+      width:  ${cardRect.width}px;
+      height: ${cardRect.height}px;
+      margin: 0;
+      z-index: 50;
+      pointer-events: none;
+      transition: transform ${duration}ms ease-in ${i * stagger}ms,
+                  opacity   ${duration}ms ease-in ${i * stagger}ms;
+    `;
+    if (rotation) clone.style.setProperty('--card-rotate', rotation);
+    document.body.appendChild(clone);
+
+    // Double-RAF: first lets the browser register the element at its start
+    // position; second triggers the transition to the target position.
+    requestAnimationFrame(() => {
+      requestAnimationFrame(() => {
+        const dx = targetCX - cardCX;
+        const dy = targetCY - cardCY;
+        clone.style.transform = `translate(${dx}px, ${dy}px) scale(0.15)`;
+        clone.style.opacity   = '0';
+      });
+    });
+
+    // Clean up clone after its individual flight completes
+    const cloneRemoveAt = stagger * i + duration + CLONE_CLEANUP_MS;
+    setTimeout(() => clone.remove(), cloneRemoveAt);
+  });
+
+  // Pulse the target score card as the last clone arrives
+  const pulseAt = stagger * (els.length - 1) + duration - animationMs(PULSE_LEAD_MS);
+  setTimeout(() => {
+    targetEl.classList.add('score-pulse');
+    targetEl.addEventListener('animationend', () => {
+      targetEl.classList.remove('score-pulse');
+    }, { once: true });
+  }, pulseAt);
+
+  setTimeout(onComplete, TOTAL_MS);
+}
+
+// ── Deal-In Animation ─────────────────────────────────────────
+/**
+ * Apply the deal-in CSS animation to a card element.
+ * @param {Element} el
+ * @param {number}  delayMs  At normal speed
+ */
+export function dealInCard(el, delayMs) {
+  el.style.animationDelay = `${animationMs(delayMs)}ms`;
+  el.classList.add('dealing');
+  el.addEventListener('animationend', () => {
+    el.classList.remove('dealing');
+    el.style.animationDelay = '';
+  }, { once: true });
+}
@@ -0,0 +1,57 @@
+/**
+ * announcer.js — Spoken game updates for screen readers.
+ *
+ * createAnnouncer() adds visually hidden aria-live regions to the page and
+ * announce() queues a message in one: "polite" for the flow of the game
+ * (deals, claims, hints), "assertive" for what needs an answer now (your
+ * mistake, time running out). Each message is its own node, so a quick
+ * succession — a claim, then the cards that replace it — is read in turn
+ * rather than the second cutting off the first, and the same text twice is
+ * still read twice.
+ *
+ * The page decides what to say; this module only says it.
+ */
+
+/** How long an announced node stays in its region — long enough to be read. */
+const MESSAGE_LIFETIME_MS = 7000;
+
+/**
+ * @param {HTMLElement} [parentEl]  Where the live regions go (the body)
+ * @returns {{ announce: (message: string, options?: { assertive?: boolean }) => void }}
+ */
+export function createAnnouncer(parentEl = document.body) {
+  const regions = {
+    polite:    createRegion('polite'),
+    assertive: createRegion('assertive'),
+  };
+
+  /**
+   * @param {'polite'|'assertive'} politeness
+   * @returns {HTMLElement}
+   */
+  function createRegion(politeness) {
+    const el = document.createElement('div');
+    el.className = 'sr-only';
+    el.setAttribute('aria-live', politeness);
+    el.setAttribute('aria-relevant', 'additions');
+    el.setAttribute('role', politeness === 'assertive' ? 'alert' : 'status');
+    parentEl.appendChild(el);
+    return el;
+  }
+
+  return {
+    /**
+     * Read a message out.
+     * @param {string} message
+     * @param {Object}  [options]
+     * @param {boolean} [options.assertive]  Interrupt whatever is being read
+     */
+    announce(message, { assertive = false } = {}) {
+      if (!message) return;
+      const node = document.createElement('div');
+      node.textContent = message;
+      regions[assertive ? 'assertive' : 'polite'].appendChild(node);
+      setTimeout(() => node.remove(), MESSAGE_LIFETIME_MS);
+    },
+  };
+}
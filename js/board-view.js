@@ -0,0 +1,211 @@
+/**
+ * board-view.js — The interactive card board shared by the play and trainer pages.
+ *
+ * createBoardView() renders cards into a board element — tilted, and dealt
+ * in with the play page's stagger — maps pointer and keyboard activation back
+ * to board indices, and keeps the DOM in step with claims and mistakes. It
+ * holds no game rules: the page decides what a pick means, and board index i
+ * is always the element boardEl.children[i].
+ *
+ * Every card also carries its position key (BOARD_KEYS) as data-key, kept in
+ * step as the board grows and shrinks; the page listens for the keys itself
+ * (indexForKey) and can show the labels on the cards (showKeyLabels).
+ *
+ * For screen readers, the arrow keys move focus around the grid (Home and
+ * End to the first and last card), selected cards are aria-pressed, focus
+ * stays on a slot when its card is replaced, and describe() reads cards out
+ * with their keys.
+ */
+
+import { createCardEl } from './card-render.js';
+import {
+  DEAL_STAGGER_MS, REPLACE_STAGGER_MS, ERROR_FLASH_MS, randomRotation, dealInCard, animationMs,
+} from './animations.js';
+
+/**
+ * Keys that pick board cards by position, one keyboard row per board row of
+ * four: Q W E R over A S D F over Z X C V, then U I O P, J K L ; and M , . /
+ * for boards of 13 or more. 24 keys cover the largest possible board (21 cards).
+ */
+export const BOARD_KEYS = ['q', 'w', 'e', 'r', 'a', 's', 'd', 'f', 'z', 'x', 'c', 'v',
+                           'u', 'i', 'o', 'p', 'j', 'k', 'l', ';', 'm', ',', '.', '/'];
+
+/**
+ * @param {HTMLElement} boardEl
+ * @param {Object}   options
+ * @param {(index: number) => void} options.onPick  A card was clicked, tapped or activated by keyboard
+ * @param {() => boolean} [options.isLocked]          While true, picks are ignored (animations, pause)
+ * @returns {Object}
+ */
+export function createBoardView(boardEl, { onPick, isLocked = () => false }) {
+  /**
+   * Create an interactive board card element with a random tilt.
+   * @param {object} card
+   * @returns {HTMLElement}
+   */
+  function createBoardCardEl(card) {
+    const el = createCardEl(card);
+    el.style.setProperty('--card-rotate', randomRotation());
+    el.setAttribute('aria-pressed', 'false');
+    el.addEventListener('pointerdown', onCardPointerDown);
+    el.addEventListener('keydown', onCardKeyDown);
+    return el;
+  }
+
+  function onCardPointerDown(e) {
+    e.preventDefault(); // prevent mouse event double-fire on touch
+    pick(e.currentTarget);
+  }
+
+  function onCardKeyDown(e) {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      pick(e.currentTarget);
+      return;
+    }
+    const index   = Array.from(boardEl.children).indexOf(e.currentTarget);
+    const columns = getComputedStyle(boardEl).gridTemplateColumns.split(' ').length;
+    const target  = { ArrowLeft: index - 1, ArrowRight: index + 1,
+                      ArrowUp: index - columns, ArrowDown: index + columns,
+                      Home: 0, End: boardEl.children.length - 1 }[e.key];
+    if (target === undefined) return;
+    e.preventDefault();
+    boardEl.children[target]?.focus();
+  }
+
+  function pick(el) {
+    if (isLocked()) return;
+    const index = Array.from(boardEl.children).indexOf(el);
+    if (index !== -1) onPick(index);
+  }
+
+  /** Give every card the key of its current position. */
+  function relabel() {
+    Array.from(boardEl.children).forEach((el, i) => {
+      if (i < BOARD_KEYS.length) {
+        el.dataset.key = BOARD_KEYS[i].toUpperCase();
+        el.setAttribute('aria-keyshortcuts', BOARD_KEYS[i].toUpperCase());
+      } else {
+        delete el.dataset.key;
+        el.removeAttribute('aria-keyshortcuts');
+      }
+    });
+  }
+
+  return {
+    /** @param {number} index @returns {HTMLElement|undefined} */
+    cardEl: index => boardEl.children[index],
+
+    /** @param {number[]} indices @returns {HTMLElement[]} */
+    cardEls: indices => indices.map(i => boardEl.children[i]),
+
+    clear() {
+      boardEl.innerHTML = '';
+    },
+
+    /**
+     * Cards as a screen reader would hear them: "Q: 2 red striped ovals".
+     * @param {number[]} [indices]  Defaults to the whole board
+     * @returns {string[]}
+     */
+    describe(indices = Array.from(boardEl.children, (_, i) => i)) {
+      return indices.map(i => boardEl.children[i]).filter(Boolean).map(el => (
+        el.dataset.key ? `${el.dataset.key}: ${el.getAttribute('aria-label')}` : el.getAttribute('aria-label')
+      ));
+    },
+
+    /** @param {number} index  Move keyboard focus to a card */
+    focusCard(index) {
+      boardEl.children[index]?.focus();
+    },
+
+    /**
+     * The board index a key picks, if a card is there.
+     * @param {string} key  KeyboardEvent.key
+     * @returns {number}  -1 when the key isn't a board key or its slot is empty
+     */
+    indexForKey(key) {
+      const index = BOARD_KEYS.indexOf(key.toLowerCase());
+      return index < boardEl.children.length ? index : -1;
+    },
+
+    /** @param {boolean} on  Show each card's key in its corner */
+    showKeyLabels(on) {
+      boardEl.classList.toggle('show-keys', on);
+    },
+
+    /**
+     * Append cards with a staggered deal-in.
+     * @param {object[]} cards
+     */
+    deal(cards) {
+      cards.forEach((card, i) => {
+        const el = createBoardCardEl(card);
+        dealInCard(el, i * DEAL_STAGGER_MS);
+        boardEl.appendChild(el);
+      });
+      relabel();
+    },
+
+    /**
+     * Bring the DOM in line after a claimed Set has left the board: deal
+     * replacements into the same slots, or remove the slots entirely.
+     * @param {number[]}   indices       Three board indices of the claimed cards
+     * @param {Array|null} replacements  [{ index, card }], or null to remove the slots
+     */
+    replaceSlots(indices, replacements) {
+      // A replaced or removed card takes focus with it — keep it on the board
+      const focused = Array.from(boardEl.children).indexOf(document.activeElement);
+      if (replacements) {
+        for (const { index, card } of replacements) {
+          const el = createBoardCardEl(card);
+          dealInCard(el, indices.indexOf(index) * REPLACE_STAGGER_MS);
+          boardEl.children[index].replaceWith(el);
+        }
+      } else {
+        // High to low to preserve lower indices
+        for (const index of [...indices].sort((a, b) => b - a)) {
+          boardEl.children[index].remove();
+        }
+      }
+      relabel();
+      if (focused !== -1 && !boardEl.contains(document.activeElement)) {
+        boardEl.children[Math.min(focused, boardEl.children.length - 1)]?.focus();
+      }
+    },
+
+    /**
+     * @param {number}  index
+     * @param {boolean} selected
+     */
+    setSelected(index, selected) {
+      boardEl.children[index]?.classList.toggle('selected', selected);
+      boardEl.children[index]?.setAttribute('aria-pressed', String(selected));
+    },
+
+    clearSelected() {
+      for (const el of boardEl.children) {
+        el.classList.remove('selected');
+        el.setAttribute('aria-pressed', 'false');
+      }
+    },
+
+    /**
+     * Deselect the cards and flash them red.
+     * @param {number[]}   indices
+     * @param {Function}   [onDone]  Called once the flash has finished
+     */
+    flashError(indices, onDone) {
+      const els = indices.map(i => boardEl.children[i]);
+      for (const el of els) {
+        el.classList.remove('selected');
+        el.setAttribute('aria-pressed', 'false');
+        el.classList.add('flash-error');
+      }
+      setTimeout(() => {
+        for (const el of els) el.classList.remove('flash-error');
+        onDone?.();
+      }, animationMs(ERROR_FLASH_MS));
+    },
+  };
+}
@@ -1,47 +1,200 @@
 /**
- * card-render.js — DOM card creation helpers.
+ * card-render.js — DOM card creation helpers, card themes and color palettes.
  *
- * Renders cards using <use href="#shape"> referencing the inline
- * <svg><defs> block present in each HTML page.
- * No event listeners are attached here — purely DOM construction.
+ * Renders cards using <use href="#shape"> referencing the symbols of the
+ * current theme (themes.js), which this module injects into the page.
+ * No event listeners are attached here — purely DOM construction — apart
+ * from bindPaletteControls() and bindThemeControls(), which wire a page's
+ * pickers.
+ *
+ * Palettes: the card colors are CSS custom properties (--color-red, …) that
+ * style.css redefines per palette (:root[data-palette="…"]), and cards refer
+ * to them rather than to fixed hex values, so switching palettes recolors
+ * every card on the page at once. Each palette also names what its colors
+ * look like, for ARIA labels and explanations; each theme does the same for
+ * its shapes. "Color cues" add a redundant encoding: a corner mark per
+ * color and a hatch angle per color for striped cards. All three choices are
+ * settings (prefs.js), applied when this module loads and whenever they change.
  */
 
 import { pluralize } from './deck.js';
+import { THEMES, DEFAULT_THEME, injectTheme } from './themes.js';
+import { getPref, setPref, onPrefsChange } from './prefs.js';
+
+// ── Palettes and themes ──────────────────────────────────────
 
-/** Hex color values — read from CSS custom properties so style.css is the single source of truth. */
-const style = getComputedStyle(document.documentElement);
-const COLOR_HEX = {
-  red:    style.getPropertyValue('--color-red').trim(),
-  green:  style.getPropertyValue('--color-green').trim(),
-  purple: style.getPropertyValue('--color-purple').trim(),
+/**
+ * Selectable palettes: a label for pickers and the name of each game color as
+ * it appears on screen. The hex values live in style.css.
+ */
+export const PALETTES = {
+  default:         { label: 'Default',         names: { red: 'red',    green: 'green', purple: 'purple' } },
+  colorblind:      { label: 'Colorblind-safe', names: { red: 'orange', green: 'blue',  purple: 'pink' } },
+  'high-contrast': { label: 'High contrast',   names: { red: 'red',    green: 'green', purple: 'purple' } },
 };
 
+/** Striped cards with color cues on: hatch direction per color. */
+const HATCH_ANGLES = { red: null, green: 'rotate(45)', purple: 'rotate(-45)' };
+
+/** Settings (prefs.js) that change how cards look. */
+const CARD_PREFS = ['cardTheme', 'palette', 'colorCues'];
+
+injectTheme(getTheme());
+applyColorPrefs();
+
+// Redraw when the settings change — picked here, on another page, or merged in on sign-in
+onPrefsChange(keys => {
+  if (keys.includes('cardTheme')) injectTheme(getTheme());
+  if (keys.some(key => CARD_PREFS.includes(key))) applyColorPrefs();
+});
+
+/**
+ * Put the current palette and cues on the page — after the theme, whose
+ * hatch patterns the cues turn — and relabel any cards already on it.
+ */
+function applyColorPrefs() {
+  const root      = document.documentElement;
+  const colorCues = getColorCues();
+  root.dataset.palette = getPalette();
+  root.classList.toggle('color-cues', colorCues);
+  for (const [color, angle] of Object.entries(HATCH_ANGLES)) {
+    const pattern = document.getElementById(`hatch-${color}`);
+    if (colorCues && angle) pattern?.setAttribute('patternTransform', angle);
+    else pattern?.removeAttribute('patternTransform');
+  }
+  for (const el of document.querySelectorAll('.card[data-color]')) {
+    el.setAttribute('aria-label', ariaLabel({ ...el.dataset, count: Number(el.dataset.count) }));
+  }
+}
+
+/** @returns {string}  Key of PALETTES */
+export function getPalette() {
+  const name = getPref('palette');
+  return PALETTES[name] ? name : 'default';
+}
+
+/**
+ * Switch palettes and remember the choice.
+ * @param {string} name  Key of PALETTES
+ */
+export function setPalette(name) {
+  if (PALETTES[name]) setPref('palette', name);
+}
+
+/** @returns {boolean} */
+export function getColorCues() {
+  return getPref('colorCues');
+}
+
+/**
+ * Turn the redundant color cues on or off and remember the choice.
+ * @param {boolean} on
+ */
+export function setColorCues(on) {
+  setPref('colorCues', on);
+}
+
+/**
+ * How a game color looks in the current palette: "red", or "orange" for
+ * red in the colorblind-safe palette.
+ * @param {string} color  'red' | 'green' | 'purple'
+ * @returns {string}
+ */
+export function colorName(color) {
+  return PALETTES[getPalette()].names[color];
+}
+
+/** @returns {string}  Key of THEMES */
+export function getTheme() {
+  const name = getPref('cardTheme');
+  return THEMES[name] ? name : DEFAULT_THEME;
+}
+
+/**
+ * Switch card themes and remember the choice.
+ * @param {string} name  Key of THEMES
+ */
+export function setTheme(name) {
+  if (THEMES[name]) setPref('cardTheme', name);
+}
+
+/**
+ * How a game shape looks in the current theme: "squiggle", or "square" in
+ * the geometric deck.
+ * @param {string} shape  'oval' | 'diamond' | 'squiggle'
+ * @returns {string}
+ */
+export function shapeName(shape) {
+  return THEMES[getTheme()].names[shape];
+}
+
+/**
+ * Fill a <select> with the card themes and keep it in step with the saved choice.
+ * @param {HTMLSelectElement} selectEl
+ */
+export function bindThemeControls(selectEl) {
+  selectEl.innerHTML = '';
+  for (const [name, { label }] of Object.entries(THEMES)) {
+    selectEl.appendChild(new Option(label, name));
+  }
+  selectEl.value = getTheme();
+  selectEl.addEventListener('change', () => setTheme(selectEl.value));
+  onPrefsChange(() => { selectEl.value = getTheme(); });
+}
+
 /**
- * Build the SVG fill/stroke attributes for a given card's color and fill.
+ * Fill a <select> with the palettes and keep it and an optional "Color cues"
+ * checkbox in step with the saved choices.
+ * @param {HTMLSelectElement} selectEl
+ * @param {HTMLInputElement}  [cuesEl]
+ */
+export function bindPaletteControls(selectEl, cuesEl) {
+  selectEl.innerHTML = '';
+  for (const [name, { label }] of Object.entries(PALETTES)) {
+    selectEl.appendChild(new Option(label, name));
+  }
+  const refresh = () => {
+    selectEl.value = getPalette();
+    if (cuesEl) cuesEl.checked = getColorCues();
+  };
+  refresh();
+  selectEl.addEventListener('change', () => setPalette(selectEl.value));
+  cuesEl?.addEventListener('change', () => setColorCues(cuesEl.checked));
+  onPrefsChange(refresh);
+}
+
+// ── Cards ────────────────────────────────────────────────────
+
+/**
+ * Build the SVG fill/stroke styles for a given card's color and fill. They
+ * refer to the palette's custom properties, so cards follow palette changes;
+ * --shape-stroke-scale thickens outlines in the high-contrast palette.
  * @param {string} color  - 'red' | 'green' | 'purple'
  * @param {string} fill   - 'solid' | 'striped' | 'open'
  * @returns {{ fill: string, stroke: string, strokeWidth: string }}
  */
 function shapeAttrs(color, fill) {
-  const hex = COLOR_HEX[color];
+  const value = `var(--color-${color})`;
+  const width = base => `calc(${base} * var(--shape-stroke-scale, 1))`;
   if (fill === 'solid') {
-    return { fill: hex,                      stroke: hex, strokeWidth: '0.2' };
+    return { fill: value,                    stroke: value, strokeWidth: width(0.2) };
   }
   if (fill === 'striped') {
-    return { fill: `url(#hatch-${color})`,   stroke: hex, strokeWidth: '0.5' };
+    return { fill: `url(#hatch-${color})`,   stroke: value, strokeWidth: width(0.5) };
   }
   // open
-  return { fill: 'none',                     stroke: hex, strokeWidth: '0.5' };
+  return { fill: 'none',                     stroke: value, strokeWidth: width(0.5) };
 }
 
 /**
- * Build a human-readable ARIA label for a card.
+ * Build a human-readable ARIA label for a card, naming its color and shape
+ * as the current palette and theme show them.
  * Format: "{count} {color} {fill} {shape}[s]"
  * @param {object} card
  * @returns {string}
  */
 function ariaLabel(card) {
-  return `${card.count} ${card.color} ${card.fill} ${pluralize(card.count, card.shape)}`;
+  return `${card.count} ${colorName(card.color)} ${card.fill} ${pluralize(card.count, shapeName(card.shape))}`;
 }
 
 /**
@@ -77,9 +230,9 @@ export function createCardEl(card) {
 
     const use = document.createElementNS('http://www.w3.org/2000/svg', 'use');
     use.setAttribute('href', `#${card.shape}`);
-    use.setAttribute('fill', attrs.fill);
-    use.setAttribute('stroke', attrs.stroke);
-    use.setAttribute('stroke-width', attrs.strokeWidth);
+    use.style.fill        = attrs.fill;
+    use.style.stroke      = attrs.stroke;
+    use.style.strokeWidth = attrs.strokeWidth;
 
     svg.appendChild(use);
     div.appendChild(svg);
@@ -93,15 +246,16 @@ export function createCardEl(card) {
  * Appends one set-result-item per triplet (does not clear the container first).
  * @param {Array<Array>} sets        - Array of card triplets from findAllSets()
  * @param {HTMLElement}  containerEl - Element to append items into
+ * @param {number}       [total]     - Count shown in "Set i of n" labels (defaults to sets.length)
  */
-export function renderSetList(sets, containerEl) {
+export function renderSetList(sets, containerEl, total = sets.length) {
   sets.forEach((triplet, i) => {
     const item = document.createElement('div');
     item.className = 'set-result-item';
 
     const label = document.createElement('div');
     label.className = 'set-number';
-    label.textContent = `Set ${i + 1} of ${sets.length}`;
+    label.textContent = `Set ${i + 1} of ${total}`;
     item.appendChild(label);
 
     const cardsRow = document.createElement('div');
@@ -113,3 +267,56 @@ export function renderSetList(sets, containerEl) {
     containerEl.appendChild(item);
   });
 }
+
+// ── Set explanation ──────────────────────────────────────────
+
+/** Display names for the four features, in the order explainSet() reports them. */
+const FEATURE_LABELS = {
+  color: 'Color',
+  shape: 'Shape',
+  count: 'Number',
+  fill:  'Shading',
+};
+
+/**
+ * A feature value as read after a number word: "red", "ovals", "2s".
+ * @param {string} feature
+ * @param {string|number} value
+ * @param {number} n  How many cards share the value
+ * @returns {string}
+ */
+function valueWord(feature, value, n) {
+  if (feature === 'shape') return pluralize(n, shapeName(value));
+  if (feature === 'count') return n !== 1 ? `${value}s` : String(value);
+  if (feature === 'color') return colorName(value);
+  return value;
+}
+
+/**
+ * One line of an explanation, e.g. "Color: two red, one green".
+ * @param {object} entry  A features[] entry from explainSet()
+ * @returns {string}
+ */
+function describeFeature({ feature, values, kind, odd }) {
+  const label = FEATURE_LABELS[feature];
+  if (kind === 'same')      return `${label}: all ${valueWord(feature, values[0], 3)}`;
+  if (kind === 'different') return `${label}: all different`;
+  const pair = values[(odd + 1) % 3];
+  return `${label}: two ${valueWord(feature, pair, 2)}, one ${valueWord(feature, values[odd], 1)}`;
+}
+
+/**
+ * Render an explainSet() result as a list, one item per feature, each marked
+ * ✓ (all same / all different) or ✗ (two and one). Clears the container first.
+ * @param {{ isSet: boolean, features: object[] }} explanation
+ * @param {HTMLElement} containerEl
+ */
+export function renderSetExplanation(explanation, containerEl) {
+  containerEl.innerHTML = '';
+  for (const entry of explanation.features) {
+    const item = document.createElement('li');
+    item.className = `explain-item ${entry.valid ? 'explain-item--ok' : 'explain-item--bad'}`;
+    item.textContent = `${describeFeature(entry)} ${entry.valid ? '✓' : '✗'}`;
+    containerEl.appendChild(item);
+  }
+}
@@ -0,0 +1,141 @@
+/**
+ * computer.js — Computer opponent model for vs Computer games.
+ *
+ * The computer "looks for" every Set on the board at once. Each Set gets its
+ * own search time, longer when more of its features are all-different (such
+ * Sets are harder to spot) and when the board holds more cards, scaled by
+ * random noise. Whichever Set would be spotted first is the one claimed, so
+ * boards with many Sets are solved faster and the choice spreads across the
+ * Sets rather than always taking the first. Lower levels sometimes rush a
+ * claim and get one card wrong. In "No Set" games the computer also calls a
+ * Set-less board once it has searched it long enough to be sure.
+ *
+ * No DOM access and no timers — play.js schedules the returned move.
+ */
+
+import { findAllSets, explainSet } from './set-logic.js';
+
+/**
+ * Tunable parameters for each difficulty level.
+ *   baseMs       — search time for a Set whose features are all the same (impossible, but the floor)
+ *   featureMs    — extra time per all-different feature in the Set (0–4)
+ *   cardMs       — extra time per card on the board (scanning cost)
+ *   spread       — log-normal noise on each Set's search time (0 = deterministic)
+ *   mistakeRate  — chance that a move is a rushed, invalid claim
+ *   rushFactor   — a rushed claim comes this fraction of the way into the search
+ *   noSetMs      — "No Set" games: time before calling a board without a Set, plus cardMs per card
+ *   minMs, maxMs — bounds on the final delay
+ */
+export const COMPUTER_PROFILES = {
+  easy: {
+    baseMs: 4000, featureMs: 4000, cardMs: 900, spread: 0.45,
+    mistakeRate: 0.15, rushFactor: 0.6, noSetMs: 14000, minMs: 6000, maxMs: 45000,
+  },
+  medium: {
+    baseMs: 3000, featureMs: 2800, cardMs: 650, spread: 0.4,
+    mistakeRate: 0.08, rushFactor: 0.6, noSetMs: 10000, minMs: 4000, maxMs: 30000,
+  },
+  hard: {
+    baseMs: 2000, featureMs: 2000, cardMs: 450, spread: 0.35,
+    mistakeRate: 0.03, rushFactor: 0.7, noSetMs: 6000, minMs: 2500, maxMs: 22000,
+  },
+  genius: {
+    baseMs: 800, featureMs: 700, cardMs: 200, spread: 0.3,
+    mistakeRate: 0, rushFactor: 1, noSetMs: 2500, minMs: 1200, maxMs: 10000,
+  },
+};
+
+/** The fixed difficulties in order; adaptive play sits anywhere on this scale (see profileForLevel). */
+export const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard', 'genius'];
+
+/**
+ * A profile for any point on the difficulty scale: 0 = easy, 1 = medium,
+ * 2 = hard, 3 = genius. Levels in between blend the two neighbouring
+ * profiles parameter by parameter; levels outside the scale are clamped.
+ * @param {number} level
+ * @returns {object}  Same shape as the COMPUTER_PROFILES entries
+ */
+export function profileForLevel(level) {
+  const top     = DIFFICULTY_LEVELS.length - 1;
+  const clamped = Math.min(top, Math.max(0, level));
+  const lower   = Math.min(top - 1, Math.floor(clamped));
+  const t       = clamped - lower;
+  const from    = COMPUTER_PROFILES[DIFFICULTY_LEVELS[lower]];
+  const to      = COMPUTER_PROFILES[DIFFICULTY_LEVELS[lower + 1]];
+  const profile = {};
+  for (const key of Object.keys(from)) profile[key] = from[key] + (to[key] - from[key]) * t;
+  return profile;
+}
+
+/**
+ * Standard normal sample (Box–Muller).
+ * @param {() => number} rng
+ * @returns {number}
+ */
+function gaussian(rng) {
+  const u = 1 - rng(); // (0, 1] — keeps log() finite
+  const v = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Expected time to spot one Set, before noise.
+ * @param {object[]} set        Three cards
+ * @param {number}   boardSize  Cards on the board
+ * @param {object}   profile    Entry from COMPUTER_PROFILES
+ * @returns {number} ms
+ */
+function expectedSearchMs(set, boardSize, profile) {
+  const differing = explainSet(...set).features.filter(f => f.kind === 'different').length;
+  return profile.baseMs + profile.featureMs * differing + profile.cardMs * boardSize;
+}
+
+/**
+ * Plan the computer's next move on a board.
+ * A mistaken move swaps one card of the spotted Set for another board card,
+ * which can never complete it (the third card of a Set is unique).
+ * @param {object[]}     board
+ * @param {object}       profile  Entry from COMPUTER_PROFILES
+ * @param {() => number} [rng=Math.random]
+ * @returns {{ delayMs: number, indices: number[], mistake: boolean } | null}
+ *          null when the board holds no Set
+ */
+export function planComputerMove(board, profile, rng = Math.random) {
+  const sets = findAllSets(board);
+  if (sets.length === 0) return null;
+
+  let best = null;
+  let bestMs = Infinity;
+  for (const set of sets) {
+    const ms = expectedSearchMs(set, board.length, profile) * Math.exp(profile.spread * gaussian(rng));
+    if (ms < bestMs) {
+      best = set;
+      bestMs = ms;
+    }
+  }
+
+  const indices = best.map(card => board.indexOf(card));
+  const mistake = board.length > 3 && rng() < profile.mistakeRate;
+  if (mistake) {
+    const others = board.map((_, i) => i).filter(i => !indices.includes(i));
+    indices[Math.floor(rng() * 3)] = others[Math.floor(rng() * others.length)];
+    bestMs *= profile.rushFactor;
+  }
+
+  const delayMs = Math.min(profile.maxMs, Math.max(profile.minMs, bestMs));
+  return { delayMs, indices, mistake };
+}
+
+/**
+ * Plan the computer's "No Set!" call on a board without a Set. The delay
+ * grows with the board, since every card has to be ruled out first.
+ * @param {object[]}     board
+ * @param {object}       profile  Entry from COMPUTER_PROFILES
+ * @param {() => number} [rng=Math.random]
+ * @returns {{ delayMs: number } | null}  null when the board holds a Set
+ */
+export function planNoSetCall(board, profile, rng = Math.random) {
+  if (findAllSets(board).length > 0) return null;
+  const ms = (profile.noSetMs + profile.cardMs * board.length) * Math.exp(profile.spread * gaussian(rng));
+  return { delayMs: Math.min(profile.maxMs, Math.max(profile.minMs, ms)) };
+}
@@ -0,0 +1,53 @@
+/**
+ * daily.js — Daily Puzzle board generation.
+ *
+ * Each calendar day maps to a seed, and the seed deterministically produces
+ * a 12-card board holding exactly six Sets, so every player sees the same
+ * puzzle on the same day. No DOM access — safe to import from Node.
+ */
+
+import { createDeck, shuffle } from './deck.js';
+import { createRng, hashSeed } from './rng.js';
+import { findAllSets } from './set-logic.js';
+
+/** Cards on a Daily Puzzle board. */
+export const DAILY_BOARD_SIZE = 12;
+
+/** Sets hidden in every Daily Puzzle board. */
+export const DAILY_SET_COUNT = 6;
+
+/**
+ * The puzzle key for a date, in the player's local time zone: "YYYY-MM-DD".
+ * @param {Date} [date]
+ * @returns {string}
+ */
+export function dailyKey(date = new Date()) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+}
+
+/**
+ * The shuffle seed for a puzzle key.
+ * @param {string} key  From dailyKey()
+ * @returns {number}
+ */
+export function dailySeed(key) {
+  return hashSeed(`daily:${key}`);
+}
+
+/**
+ * Generate the puzzle board for a seed: reshuffle (continuing the same seeded
+ * sequence) until the top DAILY_BOARD_SIZE cards hold exactly DAILY_SET_COUNT Sets.
+ * @param {number} seed
+ * @returns {object[]}  DAILY_BOARD_SIZE cards in display order
+ */
+export function generateDailyBoard(seed) {
+  const rng  = createRng(seed);
+  const deck = createDeck();
+  for (;;) {
+    const board = shuffle(deck, rng).slice(0, DAILY_BOARD_SIZE);
+    if (findAllSets(board).length === DAILY_SET_COUNT) return board;
+  }
+}
@@ -3,12 +3,16 @@
  *
  * Exports saveGame(data) — writes a completed game record to the
  * /games collection. The caller is responsible for only calling
- * this when a user is signed in.
+ * this when a user is signed in. getGames(uid) lists a user's records
+ * and getGame(id) fetches one (e.g. for the replay page).
+ * getTrainerState(uid)/saveTrainerState(uid, state) keep the trainer's
+ * spaced-repetition schedule in /trainers/{uid}, and getSettings(uid)/
+ * saveSettings(uid, prefs) the player's settings (prefs.js) in /settings/{uid}.
  */
 
 import {
   getFirestore, collection, addDoc, serverTimestamp,
-  query, where, orderBy, getDocs,
+  query, where, orderBy, getDocs, doc, getDoc, setDoc,
 } from 'https://www.gstatic.com/firebasejs/10.14.0/firebase-firestore-lite.js';
 import { app } from './firebase-init.js';
 
@@ -32,6 +36,17 @@ export async function getGames(uid) {
   return snap.docs.map(d => ({ id: d.id, ...d.data() }));
 }
 
+/**
+ * Fetch one game record by its document id.
+ * @param {string} id
+ * @returns {Promise<Object|null>}  null when no such game exists
+ */
+export async function getGame(id) {
+  const db = getFirestore(app);
+  const snap = await getDoc(doc(db, 'games', id));
+  return snap.exists() ? { id: snap.id, ...snap.data() } : null;
+}
+
 /**
  * Save a completed game to Firestore.
  * @param {Object} data  Game record (see schema in db.js / plan).
@@ -53,3 +68,47 @@ export async function saveGame(data) {
     completedAt: serverTimestamp(),
   });
 }
+
+/**
+ * Fetch a user's trainer state (srs.js).
+ * @param {string} uid
+ * @returns {Promise<Object|null>}  null when the user has never trained
+ */
+export async function getTrainerState(uid) {
+  const db = getFirestore(app);
+  const snap = await getDoc(doc(db, 'trainers', uid));
+  return snap.exists() ? snap.data() : null;
+}
+
+/**
+ * Replace a user's trainer state.
+ * @param {string} uid
+ * @param {Object} state  Plain JSON from srs.js (no nested arrays)
+ * @returns {Promise<void>}
+ */
+export async function saveTrainerState(uid, state) {
+  const db = getFirestore(app);
+  await setDoc(doc(db, 'trainers', uid), { ...state, updatedAt: serverTimestamp() });
+}
+
+/**
+ * Fetch a user's settings (prefs.js).
+ * @param {string} uid
+ * @returns {Promise<Object|null>}  null when the user has never saved any
+ */
+export async function getSettings(uid) {
+  const db = getFirestore(app);
+  const snap = await getDoc(doc(db, 'settings', uid));
+  return snap.exists() ? snap.data() : null;
+}
+
+/**
+ * Replace a user's settings.
+ * @param {string} uid
+ * @param {Object} prefs  { values, changedAt } from prefs.js
+ * @returns {Promise<void>}
+ */
+export async function saveSettings(uid, { values, changedAt }) {
+  const db = getFirestore(app);
+  await setDoc(doc(db, 'settings', uid), { values, changedAt, updatedAt: serverTimestamp() });
+}
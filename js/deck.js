@@ -1,8 +1,16 @@
 /**
- * deck.js — Card data model, deck generation, and shuffle.
+ * deck.js — Card data model, deck generation, shuffle, and card notation.
  *
  * A card is a plain object: { color, shape, count, fill }
  * The full deck has 81 unique cards (3^4 combinations).
+ *
+ * Compact notation: each card is a 4-character code — count, color, shape,
+ * fill — e.g. "2RDS" = two red striped diamonds.
+ *   Color: R red · G green · P purple
+ *   Shape: O oval · D diamond · S squiggle
+ *   Fill:  F solid (filled) · S striped · O open
+ * A board is a list of codes separated by spaces (or any non-alphanumeric
+ * characters when parsing), e.g. "2RDS 1GOF 3PSO".
  */
 
 const COLORS  = ['red', 'green', 'purple'];
@@ -10,6 +18,14 @@ const SHAPES  = ['oval', 'diamond', 'squiggle'];
 const COUNTS  = [1, 2, 3];
 const FILLS   = ['solid', 'striped', 'open'];
 
+/** The four card features and their three possible values, in canonical order. */
+export const FEATURES = {
+  color: COLORS,
+  shape: SHAPES,
+  count: COUNTS,
+  fill:  FILLS,
+};
+
 /**
  * Generate all 81 unique Set cards.
  * @returns {Array<{color: string, shape: string, count: number, fill: string}>}
@@ -38,14 +54,109 @@ export const pluralize = (n, word) => word + (n !== 1 ? 's' : '');
 
 /**
  * Fisher-Yates shuffle — returns a new shuffled array, does not mutate input.
+ * Pass a seeded function from createRng() (rng.js) for a reproducible order.
  * @param {any[]} array
+ * @param {() => number} [rng=Math.random]  Returns floats in [0, 1)
  * @returns {any[]}
  */
-export function shuffle(array) {
+export function shuffle(array, rng = Math.random) {
   const arr = array.slice();
   for (let i = arr.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(rng() * (i + 1));
     [arr[i], arr[j]] = [arr[j], arr[i]];
   }
   return arr;
 }
+
+// ── Card notation ────────────────────────────────────────────
+
+const COLOR_CODES = { red: 'R', green: 'G', purple: 'P' };
+const SHAPE_CODES = { oval: 'O', diamond: 'D', squiggle: 'S' };
+const FILL_CODES  = { solid: 'F', striped: 'S', open: 'O' };
+
+/**
+ * Reverse lookup: code letter → feature value.
+ * @param {Object<string, string>} codes
+ * @param {string} letter
+ * @returns {string|undefined}
+ */
+function valueForCode(codes, letter) {
+  return Object.keys(codes).find(value => codes[value] === letter);
+}
+
+/**
+ * Human-readable list of the letters allowed for a feature, for error messages.
+ * @param {Object<string, string>} codes
+ * @returns {string}
+ */
+function describeCodes(codes) {
+  return Object.entries(codes).map(([value, letter]) => `${letter} (${value})`).join(', ');
+}
+
+/**
+ * Format a card as its 4-character code, e.g. "2RDS".
+ * @param {{color: string, shape: string, count: number, fill: string}} card
+ * @returns {string}
+ * @throws {Error} if any feature has an unknown value
+ */
+export function formatCard(card) {
+  const color = COLOR_CODES[card.color];
+  const shape = SHAPE_CODES[card.shape];
+  const fill  = FILL_CODES[card.fill];
+  if (!COUNTS.includes(card.count)) throw new Error(`Cannot format card: unknown count "${card.count}"`);
+  if (!color) throw new Error(`Cannot format card: unknown color "${card.color}"`);
+  if (!shape) throw new Error(`Cannot format card: unknown shape "${card.shape}"`);
+  if (!fill)  throw new Error(`Cannot format card: unknown fill "${card.fill}"`);
+  return `${card.count}${color}${shape}${fill}`;
+}
+
+/**
+ * Parse a 4-character card code (case-insensitive), e.g. "2rds".
+ * @param {string} code
+ * @returns {{color: string, shape: string, count: number, fill: string}}
+ * @throws {Error} describing which character is malformed
+ */
+export function parseCard(code) {
+  const text = String(code).trim().toUpperCase();
+  if (text.length !== 4) {
+    throw new Error(`Invalid card code "${code}": expected 4 characters (count, color, shape, fill), e.g. "2RDS"`);
+  }
+  const count = Number(text[0]);
+  const color = valueForCode(COLOR_CODES, text[1]);
+  const shape = valueForCode(SHAPE_CODES, text[2]);
+  const fill  = valueForCode(FILL_CODES,  text[3]);
+  if (!COUNTS.includes(count)) throw new Error(`Invalid card code "${code}": count must be 1, 2 or 3`);
+  if (!color) throw new Error(`Invalid card code "${code}": color must be one of ${describeCodes(COLOR_CODES)}`);
+  if (!shape) throw new Error(`Invalid card code "${code}": shape must be one of ${describeCodes(SHAPE_CODES)}`);
+  if (!fill)  throw new Error(`Invalid card code "${code}": fill must be one of ${describeCodes(FILL_CODES)}`);
+  return { color, shape, count, fill };
+}
+
+/**
+ * Format an array of cards as a board string.
+ * @param {object[]} cards
+ * @param {string}   [separator=' ']
+ * @returns {string}
+ */
+export function formatBoard(cards, separator = ' ') {
+  return cards.map(formatCard).join(separator);
+}
+
+/**
+ * Parse a board string into cards, preserving order. Codes may be separated
+ * by any run of non-alphanumeric characters; an empty string is an empty board.
+ * @param {string} text
+ * @returns {object[]}
+ * @throws {Error} on a malformed code or a card that appears twice
+ */
+export function parseBoard(text) {
+  const codes = String(text).split(/[^0-9a-z]+/i).filter(Boolean);
+  const seen  = new Set();
+  return codes.map(code => {
+    const card = parseCard(code);
+    const key  = formatCard(card);
+    if (seen.has(key)) throw new Error(`Duplicate card "${key}" in board`);
+    seen.add(key);
+    return card;
+  });
+}
@@ -0,0 +1,370 @@
+/**
+ * drill.js — "Complete the Set" training drill for drill.html
+ *
+ * Each question shows two cards; the player picks the one card that
+ * completes the Set (thirdCard() in set-logic.js), either from six
+ * candidates or from the full 81-card picker. Reaction time is measured
+ * from the moment the question appears.
+ *
+ * Difficulty is the number of features on which the two shown cards differ
+ * (1–4): LEVEL_UP_STREAK correct answers in a row move up a level, a miss
+ * moves down one. A session of DRILL_LENGTH questions is saved to history
+ * as gameMode 'drill' when the player is signed in.
+ */
+
+import { onAuthStateChanged } from 'https://www.gstatic.com/firebasejs/10.14.0/firebase-auth.js';
+import { auth } from './firebase-init.js';
+import { saveGame } from './db.js';
+import { createDeck, shuffle, pluralize, formatCard, FEATURES } from './deck.js';
+import { thirdCard, setPattern } from './set-logic.js';
+import { createCardEl } from './card-render.js';
+import { ERROR_FLASH_MS, animationMs } from './animations.js';
+
+// ── Constants ────────────────────────────────────────────────
+/** Questions in one session. */
+const DRILL_LENGTH = 20;
+
+/** Candidates offered in 'choices' style: the answer plus near misses. */
+const CHOICE_COUNT = 6;
+
+/** Correct answers in a row that move the drill up a level. */
+const LEVEL_UP_STREAK = 3;
+
+const MIN_LEVEL = 1;
+const MAX_LEVEL = Object.keys(FEATURES).length;
+
+/** Pause before the next question after a right / wrong answer (ms). */
+const NEXT_AFTER_CORRECT_MS = 600;
+const NEXT_AFTER_WRONG_MS   = 1800;
+
+/** Answer styles. */
+const STYLE_CHOICES = 'choices';
+const STYLE_PICKER  = 'picker';
+
+// ── DOM References ───────────────────────────────────────────
+const setupEl      = document.getElementById('drill-setup');
+const stylePillsEl = document.getElementById('drill-style-pills');
+const btnStart     = document.getElementById('btn-drill-start');
+const sessionEl    = document.getElementById('drill-session');
+const progressEl   = document.getElementById('drill-progress');
+const accuracyEl   = document.getElementById('drill-accuracy');
+const avgTimeEl    = document.getElementById('drill-avg-time');
+const levelEl      = document.getElementById('drill-level');
+const promptEl     = document.getElementById('drill-prompt');
+const feedbackEl   = document.getElementById('drill-feedback');
+const choicesEl    = document.getElementById('drill-choices');
+const pickerEl     = document.getElementById('drill-picker');
+const btnEnd       = document.getElementById('btn-drill-end');
+const resultsEl    = document.getElementById('drill-results');
+const resultStatsEl = document.getElementById('drill-result-stats');
+const saveNudgeEl  = document.getElementById('drill-save-nudge');
+const btnAgain     = document.getElementById('btn-drill-again');
+
+// ── State ────────────────────────────────────────────────────
+/** All 81 cards in canonical order (the picker's layout). */
+const allCards = createDeck();
+
+let style       = STYLE_CHOICES;
+let level       = MIN_LEVEL;
+let streak      = 0;     // correct answers in a row at the current level
+let maxLevel    = MIN_LEVEL;
+let answers     = [];    // { correct, ms, level, pattern } per question answered
+let question    = null;  // { shown: [a, b], answer, askedAt }
+let sessionStart = 0;    // Date.now() when the session began
+let nextHandle  = null;  // setTimeout handle for the next question
+let currentUser = null;
+let pendingRecord = null; // finished session waiting for sign-in
+
+onAuthStateChanged(auth, user => {
+  currentUser = user;
+  if (user && pendingRecord) {
+    const record  = pendingRecord;
+    pendingRecord = null;
+    saveRecord({ ...record, uid: user.uid });
+  }
+});
+
+// ── Event wiring helper ───────────────────────────────────────
+/**
+ * Attach pointer and keyboard activation listeners to a card element.
+ * @param {HTMLElement} el
+ * @param {Function} handler  Called with no arguments on activation.
+ */
+function addCardListeners(el, handler) {
+  el.addEventListener('pointerdown', e => { e.preventDefault(); handler(); });
+  el.addEventListener('keydown', e => {
+    if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); handler(); }
+  });
+}
+
+// ── Question generation ──────────────────────────────────────
+/**
+ * Two cards differing on exactly `differing` features, chosen at random.
+ * @param {number} differing  1–4
+ * @returns {object[]}  [a, b]
+ */
+function randomPair(differing) {
+  const a = allCards[Math.floor(Math.random() * allCards.length)];
+  const changed = shuffle(Object.keys(FEATURES)).slice(0, differing);
+  const b = { ...a };
+  for (const feature of changed) {
+    const others = FEATURES[feature].filter(v => v !== a[feature]);
+    b[feature] = others[Math.floor(Math.random() * others.length)];
+  }
+  return [a, b];
+}
+
+/**
+ * The answer plus near misses — cards one feature away from it — shuffled.
+ * A near miss never completes the Set, since the third card is unique.
+ * @param {object} answer
+ * @returns {object[]}  CHOICE_COUNT cards
+ */
+function candidatesFor(answer) {
+  const nearMisses = [];
+  for (const [feature, values] of Object.entries(FEATURES)) {
+    for (const value of values) {
+      if (value !== answer[feature]) nearMisses.push({ ...answer, [feature]: value });
+    }
+  }
+  return shuffle([answer, ...shuffle(nearMisses).slice(0, CHOICE_COUNT - 1)]);
+}
+
+// ── Session ──────────────────────────────────────────────────
+function startSession() {
+  clearTimeout(nextHandle);
+  level        = MIN_LEVEL;
+  maxLevel     = MIN_LEVEL;
+  streak       = 0;
+  answers      = [];
+  sessionStart = Date.now();
+  pendingRecord = null;
+
+  setupEl.classList.add('hidden');
+  resultsEl.classList.add('hidden');
+  sessionEl.classList.remove('hidden');
+  choicesEl.classList.toggle('hidden', style !== STYLE_CHOICES);
+  pickerEl.classList.toggle('hidden', style !== STYLE_PICKER);
+  nextQuestion();
+}
+
+function nextQuestion() {
+  nextHandle = null;
+  if (answers.length >= DRILL_LENGTH) {
+    endSession();
+    return;
+  }
+
+  const shown  = randomPair(level);
+  const answer = thirdCard(...shown);
+  question = { shown, answer, askedAt: Date.now() };
+
+  promptEl.innerHTML = '';
+  for (const card of shown) promptEl.appendChild(createCardEl(card));
+  const slot = document.createElement('div');
+  slot.className = 'drill-slot';
+  slot.textContent = '?';
+  promptEl.appendChild(slot);
+
+  feedbackEl.textContent = 'Which card completes the Set?';
+  feedbackEl.className = 'drill-feedback';
+
+  if (style === STYLE_CHOICES) {
+    choicesEl.innerHTML = '';
+    for (const card of candidatesFor(answer)) choicesEl.appendChild(createAnswerEl(card));
+  } else {
+    for (const el of pickerEl.children) el.classList.remove('hint', 'drill-correct');
+  }
+  renderStats();
+}
+
+/**
+ * The player picked a card: score it, adjust the level and queue the next question.
+ * @param {object}      card
+ * @param {HTMLElement} el  The picked card's element
+ */
+function pick(card, el) {
+  if (!question || nextHandle !== null) return;
+  const ms      = Date.now() - question.askedAt;
+  const correct = formatCard(card) === formatCard(question.answer);
+  answers.push({ correct, ms, level, pattern: setPattern(...question.shown, question.answer) });
+
+  if (correct) {
+    el.classList.add('drill-correct');
+    feedbackEl.textContent = `✓ Correct — ${formatMs(ms)}`;
+    feedbackEl.className = 'drill-feedback drill-feedback--ok';
+    if (++streak >= LEVEL_UP_STREAK && level < MAX_LEVEL) {
+      level++;
+      streak = 0;
+      maxLevel = Math.max(maxLevel, level);
+    }
+  } else {
+    el.classList.add('flash-error');
+    setTimeout(() => el.classList.remove('flash-error'), animationMs(ERROR_FLASH_MS));
+    answerEl()?.classList.add('hint');
+    feedbackEl.textContent = '✗ Not quite — the highlighted card completes the Set';
+    feedbackEl.className = 'drill-feedback drill-feedback--miss';
+    streak = 0;
+    level  = Math.max(MIN_LEVEL, level - 1);
+  }
+
+  promptEl.querySelector('.drill-slot')?.replaceWith(createCardEl(question.answer));
+  question = null;
+  renderStats();
+  nextHandle = setTimeout(nextQuestion, correct ? NEXT_AFTER_CORRECT_MS : NEXT_AFTER_WRONG_MS);
+}
+
+/** Element showing the current answer among the choices or in the picker. */
+function answerEl() {
+  const code = formatCard(question.answer);
+  const container = style === STYLE_CHOICES ? choicesEl : pickerEl;
+  return [...container.children].find(el => el.dataset.code === code);
+}
+
+function renderStats() {
+  const { accuracy, avgMs } = sessionStats();
+  progressEl.textContent = `${Math.min(answers.length + 1, DRILL_LENGTH)} / ${DRILL_LENGTH}`;
+  accuracyEl.textContent = accuracy !== null ? `${Math.round(accuracy * 100)}%` : '—';
+  avgTimeEl.textContent  = avgMs !== null ? formatMs(avgMs) : '—';
+  levelEl.textContent    = `${level} ${pluralize(level, 'feature')}`;
+}
+
+/**
+ * Accuracy over all answers and the average time of the correct ones.
+ * @returns {{ correct: number[], accuracy: number|null, avgMs: number|null }}
+ *   correct — reaction times (ms) of the correct answers, in order
+ */
+function sessionStats() {
+  const correct = answers.filter(a => a.correct).map(a => a.ms);
+  return {
+    correct,
+    accuracy: answers.length ? correct.length / answers.length : null,
+    avgMs:    correct.length ? correct.reduce((s, ms) => s + ms, 0) / correct.length : null,
+  };
+}
+
+/** Finish the session (all questions answered, or ended early) and show the results. */
+function endSession() {
+  clearTimeout(nextHandle);
+  nextHandle = null;
+  question   = null;
+  sessionEl.classList.add('hidden');
+  resultsEl.classList.remove('hidden');
+
+  const { accuracy, avgMs } = sessionStats();
+  const stats = [
+    { label: 'Answered',     value: answers.length },
+    { label: 'Accuracy',     value: accuracy !== null ? `${Math.round(accuracy * 100)}%` : '—' },
+    { label: 'Avg Time',     value: avgMs !== null ? formatMs(avgMs) : '—' },
+    { label: 'Top Level',    value: `${maxLevel} ${pluralize(maxLevel, 'feature')}` },
+  ];
+  resultStatsEl.innerHTML = stats.map(s => `
+    <div class="summary-stat">
+      <div class="summary-stat-value">${s.value}</div>
+      <div class="summary-stat-label">${s.label}</div>
+    </div>
+  `).join('');
+
+  saveNudgeEl.innerHTML = '';
+  if (answers.length === 0) return;
+  const record = buildDrillRecord();
+  if (currentUser) {
+    saveRecord(record);
+  } else {
+    pendingRecord = record; // saved by onAuthStateChanged if the player signs in
+    saveNudgeEl.innerHTML = `
+      <div class="save-nudge">
+        Sign in to save your results
+        <button class="save-nudge-btn" id="btn-drill-sign-in">Sign In</button>
+      </div>`;
+    document.getElementById('btn-drill-sign-in').addEventListener('pointerdown', e => {
+      e.preventDefault();
+      document.dispatchEvent(new CustomEvent('open-auth-modal'));
+    });
+  }
+}
+
+/**
+ * Game record for the history page. Shares the fields history.js reads for
+ * every mode; playerSets/mistakeCount count right and wrong answers, and
+ * drillTimesMs/drillPatterns (and drillAvgMs/drillFastestMs/drillSlowestMs)
+ * cover the correct ones. Those are reaction times to complete a Set from two
+ * cards, not Sets found on a board, so they stay out of the Set time fields
+ * and the stats built on them.
+ * @returns {Object}
+ */
+function buildDrillRecord() {
+  const { correct, accuracy, avgMs } = sessionStats();
+  return {
+    uid:           currentUser?.uid ?? null,
+    gameMode:      'drill',
+    drillStyle:    style,
+    drillQuestions: answers.length,
+    drillAccuracy: accuracy,
+    drillMaxLevel: maxLevel,
+    durationMs:    Date.now() - sessionStart,
+    playerSets:    correct.length,
+    outcome:       null,
+    hintsUsed:     0,
+    mistakeCount:  answers.length - correct.length,
+    drillTimesMs:  correct,
+    drillPatterns: answers.filter(a => a.correct).map(a => a.pattern),
+    avgSetTimeMs:  null,  // no Sets found on a board — see the drill* times
+    fastestSetMs:  null,
+    slowestSetMs:  null,
+    drillAvgMs:     avgMs !== null ? Math.round(avgMs) : null,
+    drillFastestMs: correct.length ? Math.min(...correct) : null,
+    drillSlowestMs: correct.length ? Math.max(...correct) : null,
+  };
+}
+
+/** @param {Object} record */
+function saveRecord(record) {
+  saveGame(record)
+    .then(() => {
+      saveNudgeEl.innerHTML = '<div class="save-nudge save-nudge--saved">✓ Results saved</div>';
+    })
+    .catch(() => { /* fail silently */ });
+}
+
+// ── Card picker ───────────────────────────────────────────────
+function renderPicker() {
+  pickerEl.innerHTML = '';
+  for (const card of allCards) pickerEl.appendChild(createAnswerEl(card));
+}
+
+/**
+ * A card the player can pick as the answer.
+ * @param {object} card
+ * @returns {HTMLElement}
+ */
+function createAnswerEl(card) {
+  const el = createCardEl(card);
+  el.dataset.code = formatCard(card);
+  addCardListeners(el, () => pick(card, el));
+  return el;
+}
+
+// ── Formatting ───────────────────────────────────────────────
+/** @param {number} ms @returns {string} e.g. "2.4s" */
+function formatMs(ms) {
+  return `${(ms / 1000).toFixed(1)}s`;
+}
+
+// ── Event Wiring ──────────────────────────────────────────────
+stylePillsEl.addEventListener('pointerdown', e => {
+  e.preventDefault();
+  const pill = e.target.closest('.filter-pill');
+  if (!pill) return;
+  style = pill.dataset.style;
+  for (const p of stylePillsEl.querySelectorAll('.filter-pill')) p.classList.toggle('active', p === pill);
+});
+btnStart.addEventListener('click', startSession);
+btnEnd.addEventListener('click', endSession);
+btnAgain.addEventListener('click', () => {
+  resultsEl.classList.add('hidden');
+  setupEl.classList.remove('hidden');
+});
+
+// ── Init ──────────────────────────────────────────────────────
+renderPicker();
@@ -0,0 +1,472 @@
+/**
+ * engine.js — Headless Set game engine.
+ *
+ * Owns the rules of a game (deck, board, selection, scoring, mistakes, extra
+ * deals and game over) with no DOM access and no timers, so it runs unchanged
+ * in Node for tests, bots and simulations. play.js drives it and renders by
+ * listening to its events:
+ *
+ *   cardsDealt      — { indices, cards }          cards appended to the board
+ *   setClaimed      — { claimant, indices, cards, replacements }
+ *                     replacements is [{ index, card }] when the claimed slots
+ *                     were refilled from the deck, or null when they were removed
+ *   mistake         — { claimant, indices, cards }
+ *   alreadyFound    — { claimant, indices, cards }  puzzle games only: a valid Set found before
+ *   extraCardsDealt — { count }                    fired before the matching cardsDealt
+ *   noSetCalled     — { claimant }                 a correct "No Set!" call (before its extra deal)
+ *   noSetWrong      — { claimant, indices, cards } a wrong call; indices/cards show a Set that was there
+ *   deckReshuffled  — { count }                    recycling games: discards shuffled back in
+ *   gameOver        — { scores, mistakes }
+ *
+ * Claimants are free-form ids ('player', 'computer', …) used as keys in the
+ * scores and mistakes maps.
+ *
+ * Puzzle games (options.puzzle) deal one fixed board that never changes:
+ * claimed Sets stay on the board (setClaimed carries replacements: null) and
+ * are recorded in state.found, and the game ends once every Set on the board
+ * has been found.
+ *
+ * "No Set" games (options.declareNoSet) never add cards by themselves: a
+ * player must call declareNoSet() on a board without a Set. A correct call
+ * scores NO_SET_BONUS points and deals 3 extra cards; a wrong one counts as a
+ * mistake. Scores are then points — Sets plus bonuses — and state.noSetCalls
+ * counts each claimant's correct calls.
+ *
+ * Recycling games (options.recycle, used by timed modes) keep claimed cards in
+ * a discard pile and shuffle it back under the deck whenever the deck runs
+ * short, so play never runs out; the caller ends them with endGame().
+ *
+ * snapshot() captures a game in progress as plain JSON (cards as notation
+ * codes), and createGame({ resume }) picks it up again — e.g. after a page
+ * reload. A resumed game deals nothing: its start() re-announces the saved
+ * board with a single cardsDealt.
+ */
+
+import { createDeck, shuffle, formatCard, parseCard } from './deck.js';
+import { createRng, randomSeed } from './rng.js';
+import { isSet, findAllSets, hasSet } from './set-logic.js';
+
+/** Standard number of cards on the board. */
+export const BOARD_SIZE = 12;
+
+/** Claimant id for the local human player. */
+export const PLAYER = 'player';
+
+/** Claimant id for the computer opponent. */
+export const COMPUTER = 'computer';
+
+/** Points scored by a correct "No Set!" call. */
+export const NO_SET_BONUS = 1;
+
+/** Sets deducted from a Blitz score for each mistake. */
+export const BLITZ_MISTAKE_PENALTY = 0.5;
+
+/**
+ * Blitz score: points per minute, less BLITZ_MISTAKE_PENALTY points per
+ * mistake, rounded to two decimals. May be negative. Points are the player's
+ * score — a point per Set, plus NO_SET_BONUS per correct "No Set!" call —
+ * so under the "No Set" rule good calls raise it, unlike a Sets-per-minute rate.
+ * @param {number} points    scoreOf() the player
+ * @param {number} mistakes
+ * @param {number} durationMs  Length of the countdown
+ * @returns {number}
+ */
+export function blitzScore(points, mistakes, durationMs) {
+  const minutes = durationMs / 60000;
+  if (minutes <= 0) return 0;
+  return Math.round(((points - BLITZ_MISTAKE_PENALTY * mistakes) / minutes) * 100) / 100;
+}
+
+/**
+ * Minimal synchronous event emitter. Also used by room-client.js, whose
+ * remote games fire the same events as local ones.
+ * @returns {{ on: Function, off: Function, emit: Function }}
+ */
+export function createEmitter() {
+  const listeners = new Map(); // event name → Set of handlers
+
+  return {
+    on(event, handler) {
+      if (!listeners.has(event)) listeners.set(event, new Set());
+      listeners.get(event).add(handler);
+      return () => listeners.get(event)?.delete(handler);
+    },
+    off(event, handler) {
+      listeners.get(event)?.delete(handler);
+    },
+    emit(event, payload) {
+      for (const handler of listeners.get(event) ?? []) handler(payload);
+    },
+  };
+}
+
+/**
+ * Create a new game. Nothing is dealt until start() is called.
+ *
+ * @param {Object}   [options]
+ * @param {number}   [options.seed]       Shuffle seed; a random one is picked if omitted
+ * @param {Object[]} [options.deck]       Pre-ordered deck (dealt from the end); overrides seed
+ * @param {number}   [options.boardSize]  Cards dealt at the start and kept on the board
+ * @param {boolean}  [options.puzzle]     Fixed-board puzzle: find every Set on the opening board
+ * @param {boolean}  [options.recycle]    Shuffle claimed cards back in when the deck runs short
+ * @param {boolean}  [options.declareNoSet]  Players call Set-less boards (declareNoSet()) instead
+ *                                           of extra cards being added automatically
+ * @param {Object}   [options.resume]     A game's snapshot() to carry on from; every other
+ *                                        option is then taken from the snapshot
+ * @returns {Object} Game with `state`, event subscription and rule methods
+ */
+export function createGame({
+  seed, deck, boardSize = BOARD_SIZE, puzzle = false, recycle = false, declareNoSet = false, resume = null,
+} = {}) {
+  const emitter = createEmitter();
+  if (resume) ({ seed, boardSize, puzzle, recycle, declareNoSet } = resume);
+
+  // One seeded sequence drives the opening shuffle and any later reshuffles.
+  // Draws are counted so a resumed game continues the same sequence.
+  if (!deck && !resume) seed = seed ?? randomSeed();
+  const seeded = createRng(seed ?? randomSeed());
+  let draws = 0;
+  const rng = () => {
+    draws++;
+    return seeded();
+  };
+  if (resume) {
+    while (draws < resume.draws) rng();
+  } else if (!deck) {
+    deck = shuffle(createDeck(), rng);
+  }
+  let resuming = resume !== null; // until start() has re-announced the board
+
+  /**
+   * The full game state. Read freely; mutate only through the methods below.
+   *   deck            — remaining undealt cards (dealt from the end)
+   *   discard         — recycling games: claimed cards waiting to be shuffled back in
+   *   board           — cards currently face-up
+   *   selected        — board indices of the local selection (max 3)
+   *   scores          — Sets claimed, keyed by claimant id
+   *   mistakes        — invalid claims, keyed by claimant id
+   *   extraCardsDealt — times 3 extra cards were added because the board had no Set
+   *   noSetCalls      — "No Set" games: correct calls, keyed by claimant id
+   *   found           — puzzle games: board indices of each Set found so far (ascending)
+   *   totalSets       — puzzle games: Sets on the fixed board, set by start()
+   *   over            — true once gameOver has fired
+   */
+  const state = resume ? {
+    seed:            seed ?? null,
+    deck:            resume.deck.map(parseCard),
+    discard:         resume.discard.map(parseCard),
+    board:           resume.board.map(parseCard),
+    selected:        [],
+    scores:          { ...resume.scores },
+    mistakes:        { ...resume.mistakes },
+    extraCardsDealt: resume.extraCardsDealt,
+    noSetCalls:      { ...resume.noSetCalls },
+    found:           resume.found.map(set => [...set]),
+    totalSets:       resume.totalSets,
+    over:            false,
+  } : {
+    seed:            seed ?? null,
+    deck:            deck.slice(),
+    discard:         [],
+    board:           [],
+    selected:        [],
+    scores:          {},
+    mistakes:        {},
+    extraCardsDealt: 0,
+    noSetCalls:      {},
+    found:           [],
+    totalSets:       null,
+    over:            false,
+  };
+
+  /**
+   * Recycling games: when the deck holds fewer than n cards, shuffle the
+   * discard pile in beneath it (the remaining deck cards are still dealt first).
+   * @param {number} n
+   */
+  function refillDeck(n) {
+    if (!recycle || state.deck.length >= n || state.discard.length === 0) return;
+    const count = state.discard.length;
+    state.deck    = [...shuffle(state.discard, rng), ...state.deck];
+    state.discard = [];
+    emitter.emit('deckReshuffled', { count });
+  }
+
+  /**
+   * Move up to n cards from the deck onto the end of the board.
+   * @param {number} n
+   */
+  function deal(n) {
+    refillDeck(n);
+    const count = Math.min(n, state.deck.length);
+    if (count === 0) return;
+    const start = state.board.length;
+    const cards = [];
+    for (let i = 0; i < count; i++) {
+      const card = state.deck.pop();
+      state.board.push(card);
+      cards.push(card);
+    }
+    emitter.emit('cardsDealt', {
+      indices: cards.map((_, i) => start + i),
+      cards,
+    });
+  }
+
+  /**
+   * Deal the opening board, then keep adding 3 cards until a Set is present
+   * (or the deck runs out). These opening extras are not counted as extra deals.
+   * Puzzle games deal the fixed board only and count the Sets to be found;
+   * "No Set" games deal the opening board only, and players call it if need be.
+   * A resumed game deals nothing; the saved board is announced as dealt.
+   */
+  function start() {
+    if (resuming) {
+      resuming = false;
+      emitter.emit('cardsDealt', {
+        indices: state.board.map((_, i) => i),
+        cards:   state.board.slice(),
+      });
+      return;
+    }
+    deal(boardSize);
+    if (puzzle) {
+      state.totalSets = findAllSets(state.board).length;
+      return;
+    }
+    if (declareNoSet) return;
+    while (!hasSet(state.board) && state.deck.length > 0) deal(3);
+  }
+
+  /**
+   * Toggle a board index in the local selection. Selecting a third card
+   * submits the three as a claim for the given claimant.
+   * @param {number} index
+   * @param {string} [claimant]
+   * @returns {boolean|null}  Claim result when three cards were submitted, else null
+   */
+  function toggleSelect(index, claimant = PLAYER) {
+    if (state.over || index < 0 || index >= state.board.length) return null;
+    const pos = state.selected.indexOf(index);
+    if (pos !== -1) {
+      state.selected.splice(pos, 1);
+      return null;
+    }
+    if (state.selected.length >= 3) return null;
+    state.selected.push(index);
+    if (state.selected.length < 3) return null;
+    const indices = state.selected;
+    state.selected = [];
+    return claimSet(indices, claimant);
+  }
+
+  /** Drop any partial local selection. */
+  function clearSelection() {
+    state.selected = [];
+  }
+
+  /**
+   * @param {number[]} indices
+   * @returns {boolean}  Whether these are three distinct indices of board cards
+   */
+  function isClaimable(indices) {
+    return Array.isArray(indices) && indices.length === 3 && new Set(indices).size === 3
+      && indices.every(i => Number.isInteger(i) && i >= 0 && i < state.board.length);
+  }
+
+  /**
+   * Claim three board cards as a Set.
+   * A valid claim scores a point and refills the slots from the deck while
+   * the board is at or below boardSize; otherwise the cards are removed.
+   * In puzzle games the board is left as is and the Set is recorded as found;
+   * re-claiming a found Set fires alreadyFound and scores nothing.
+   * An invalid claim counts a mistake and leaves the board untouched.
+   * Anything but three distinct indices on the board is ignored: no event,
+   * no mistake.
+   * @param {number[]} indices  Three distinct board indices
+   * @param {string}   [claimant]
+   * @returns {boolean}  Whether the claim scored
+   */
+  function claimSet(indices, claimant = PLAYER) {
+    if (state.over || !isClaimable(indices)) return false;
+    const cards = indices.map(i => state.board[i]);
+
+    if (!isSet(...cards)) {
+      state.mistakes[claimant] = (state.mistakes[claimant] ?? 0) + 1;
+      emitter.emit('mistake', { claimant, indices: [...indices], cards });
+      return false;
+    }
+
+    if (puzzle) {
+      const sorted = [...indices].sort((a, b) => a - b);
+      if (state.found.some(set => set.every((idx, i) => idx === sorted[i]))) {
+        emitter.emit('alreadyFound', { claimant, indices: [...indices], cards });
+        return false;
+      }
+      state.found.push(sorted);
+      state.scores[claimant] = (state.scores[claimant] ?? 0) + 1;
+      emitter.emit('setClaimed', { claimant, indices: [...indices], cards, replacements: null });
+      return true;
+    }
+
+    state.scores[claimant] = (state.scores[claimant] ?? 0) + 1;
+    if (recycle) {
+      state.discard.push(...cards);
+      refillDeck(3);
+    }
+
+    // Highest index first so splicing never shifts an index still to be handled.
+    const descending = [...indices].sort((a, b) => b - a);
+    let replacements = null;
+    if (state.board.length <= boardSize && state.deck.length >= 3) {
+      replacements = descending.map(index => {
+        const card = state.deck.pop();
+        state.board[index] = card;
+        return { index, card };
+      });
+    } else {
+      for (const index of descending) state.board.splice(index, 1);
+    }
+
+    emitter.emit('setClaimed', { claimant, indices: [...indices], cards, replacements });
+    return true;
+  }
+
+  /**
+   * Whether the board has no Set but the deck can still supply more cards.
+   * Always false in "No Set" games, where a player has to call it.
+   * @returns {boolean}
+   */
+  function needsExtraCards() {
+    if (state.over || puzzle || declareNoSet || hasSet(state.board)) return false;
+    return state.deck.length > 0 || state.discard.length > 0;
+  }
+
+  /** Add 3 extra cards because the board has no Set. */
+  function dealExtraCards() {
+    if (state.over) return;
+    state.extraCardsDealt++;
+    emitter.emit('extraCardsDealt', { count: state.extraCardsDealt });
+    deal(3);
+  }
+
+  /**
+   * "No Set" games: a claimant calls the board Set-less. A correct call
+   * scores NO_SET_BONUS and deals 3 extra cards; a wrong one counts a mistake
+   * and reveals one of the board's Sets in the noSetWrong event.
+   * @param {string} [claimant]
+   * @returns {boolean|null}  Whether the call was right; null when calls don't apply
+   */
+  function callNoSet(claimant = PLAYER) {
+    if (state.over || !declareNoSet) return null;
+    const [set] = findAllSets(state.board);
+    if (set) {
+      state.mistakes[claimant] = (state.mistakes[claimant] ?? 0) + 1;
+      emitter.emit('noSetWrong', { claimant, indices: set.map(card => state.board.indexOf(card)), cards: set });
+      return false;
+    }
+    state.scores[claimant]     = (state.scores[claimant] ?? 0) + NO_SET_BONUS;
+    state.noSetCalls[claimant] = (state.noSetCalls[claimant] ?? 0) + 1;
+    emitter.emit('noSetCalled', { claimant });
+    dealExtraCards();
+    return true;
+  }
+
+  /**
+   * End the game if the deck is empty and no Set remains (puzzle games: once
+   * every Set has been found). Fires gameOver once.
+   * @returns {boolean}  Whether the game is over
+   */
+  function checkGameOver() {
+    if (state.over) return true;
+    if (puzzle) {
+      if (state.found.length < state.totalSets) return false;
+    } else if (state.deck.length > 0 || state.discard.length > 0 || hasSet(state.board)) {
+      return false;
+    }
+    endGame();
+    return true;
+  }
+
+  /**
+   * End the game now, whatever the board holds (e.g. when a countdown expires).
+   * Fires gameOver unless it has already fired.
+   */
+  function endGame() {
+    if (state.over) return;
+    state.over = true;
+    state.selected = [];
+    emitter.emit('gameOver', { scores: { ...state.scores }, mistakes: { ...state.mistakes } });
+  }
+
+  /**
+   * Plain-JSON copy of the game for createGame({ resume }), with cards as
+   * notation codes. The local selection is not kept.
+   * @returns {Object}
+   */
+  function snapshot() {
+    return {
+      seed:            state.seed,
+      boardSize,
+      puzzle,
+      recycle,
+      declareNoSet,
+      draws,
+      deck:            state.deck.map(formatCard),
+      discard:         state.discard.map(formatCard),
+      board:           state.board.map(formatCard),
+      scores:          { ...state.scores },
+      mistakes:        { ...state.mistakes },
+      extraCardsDealt: state.extraCardsDealt,
+      noSetCalls:      { ...state.noSetCalls },
+      found:           state.found.map(set => [...set]),
+      totalSets:       state.totalSets,
+    };
+  }
+
+  /**
+   * Sets claimed by a claimant (0 if none yet).
+   * @param {string} claimant
+   * @returns {number}
+   */
+  function scoreOf(claimant) {
+    return state.scores[claimant] ?? 0;
+  }
+
+  /**
+   * Correct "No Set" calls made by a claimant (0 if none yet).
+   * @param {string} claimant
+   * @returns {number}
+   */
+  function noSetCallsOf(claimant) {
+    return state.noSetCalls[claimant] ?? 0;
+  }
+
+  /**
+   * Invalid claims made by a claimant (0 if none yet).
+   * @param {string} claimant
+   * @returns {number}
+   */
+  function mistakesOf(claimant) {
+    return state.mistakes[claimant] ?? 0;
+  }
+
+  return {
+    state,
+    on:  emitter.on,
+    off: emitter.off,
+    start,
+    toggleSelect,
+    clearSelection,
+    claimSet,
+    needsExtraCards,
+    dealExtraCards,
+    callNoSet,
+    checkGameOver,
+    endGame,
+    snapshot,
+    scoreOf,
+    mistakesOf,
+    noSetCallsOf,
+  };
+}
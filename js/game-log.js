@@ -0,0 +1,89 @@
+/**
+ * game-log.js — Timestamped event log of one game, for replays.
+ *
+ * createGameLog() listens to an engine (or remote game) and records what
+ * happened to the board; play.js adds the things only the page knows about
+ * (selections and hints). Each entry is plain JSON so the whole log can be
+ * stored with the Firestore game record:
+ *
+ *   { t, type, ...data }   t = ms on the game clock (pauses excluded)
+ *
+ *   deal      — { cards }                       cards appended to the board
+ *   select    — { by, index }                   a card added to the selection
+ *   deselect  — { by, index }                   a card taken out of it
+ *   clear     — {}                              a partial selection dropped
+ *   hint      — { index }                       a hint card highlighted
+ *   claim     — { by, indices, cards, replacements }
+ *               replacements: [{ index, card }], or null when the slots were
+ *               removed (in a Daily Puzzle, left as they were)
+ *   mistake   — { by, indices, cards }
+ *   found     — { by, indices }                 Daily Puzzle: a Set found before
+ *   extra     — { count }                       3 extra cards coming (no Set)
+ *   reshuffle — { count }                       Blitz: claimed cards shuffled back in
+ *   noSet     — { by }                          a correct "No Set!" call (extra and deal follow)
+ *   noSetWrong — { by, indices, cards }         a wrong call; indices/cards are a Set that was there
+ *
+ * Cards are notation codes (formatCard). Firestore can't store nested arrays,
+ * hence replacements as objects.
+ *
+ * applyToBoard() rebuilds the board from a log, for every reader of it (the
+ * replay viewer, analysis.js), so they follow the format together.
+ */
+
+import { formatCard, parseCard } from './deck.js';
+
+/**
+ * Start logging a game.
+ * @param {Object}       game     Engine or remote game to listen to
+ * @param {() => number} clock    Current game time in ms
+ * @param {Object[]}     [entries]  Entries logged before a reload, to carry on from
+ * @returns {{ entries: Object[], add: (type: string, data?: Object) => void }}
+ */
+export function createGameLog(game, clock, entries = []) {
+  function add(type, data = {}) {
+    entries.push({ t: Math.max(0, Math.round(clock())), type, ...data });
+  }
+
+  game.on('cardsDealt', ({ cards }) => add('deal', { cards: cards.map(formatCard) }));
+  game.on('setClaimed', ({ claimant, indices, cards, replacements }) => add('claim', {
+    by:           claimant,
+    indices,
+    cards:        cards.map(formatCard),
+    replacements: replacements?.map(({ index, card }) => ({ index, card: formatCard(card) })) ?? null,
+  }));
+  game.on('mistake', ({ claimant, indices, cards }) => add('mistake', {
+    by: claimant, indices, cards: cards.map(formatCard),
+  }));
+  game.on('alreadyFound',    ({ claimant, indices }) => add('found', { by: claimant, indices }));
+  game.on('extraCardsDealt', ({ count }) => add('extra', { count }));
+  game.on('deckReshuffled',  ({ count }) => add('reshuffle', { count }));
+  game.on('noSetCalled',     ({ claimant }) => add('noSet', { by: claimant }));
+  game.on('noSetWrong',      ({ claimant, indices, cards }) => add('noSetWrong', {
+    by: claimant, indices, cards: cards.map(formatCard),
+  }));
+
+  return { entries, add };
+}
+
+/**
+ * Apply one entry's change to a board rebuilt from the log: a deal appends
+ * its cards, a claim puts its replacements in place or removes the claimed
+ * slots — except in a Daily Puzzle, whose board never changes. Other entries
+ * leave the board alone.
+ * @param {object[]} board     Cards, updated in place
+ * @param {Object}   entry
+ * @param {Object}   [options]
+ * @param {boolean}  [options.puzzle]  Daily Puzzle log
+ */
+export function applyToBoard(board, entry, { puzzle = false } = {}) {
+  if (entry.type === 'deal') {
+    board.push(...entry.cards.map(parseCard));
+  } else if (entry.type === 'claim' && !puzzle) {
+    if (entry.replacements) {
+      for (const { index, card } of entry.replacements) board[index] = parseCard(card);
+    } else {
+      // Highest index first so splicing never shifts an index still to be handled.
+      for (const index of [...entry.indices].sort((a, b) => b - a)) board.splice(index, 1);
+    }
+  }
+}
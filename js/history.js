@@ -2,14 +2,19 @@
  * history.js — Game history page logic.
  *
  * Fetches the signed-in user's game records from Firestore,
- * displays a summary panel of aggregate stats, and renders
- * a paginated table of games with expandable detail rows.
+ * displays a summary panel of aggregate stats, the adaptive vs Computer
+ * rating over time and a breakdown of find times by Set pattern, and
+ * renders a paginated table of games with expandable detail rows.
  * All filtering is client-side against the in-memory allGames array.
  */
 
 import { onAuthStateChanged } from 'https://www.gstatic.com/firebasejs/10.14.0/firebase-auth.js';
 import { auth } from './firebase-init.js';
 import { getGames } from './db.js';
+import { describePattern } from './set-logic.js';
+import { describeLevel, MAX_LEVEL } from './adaptive.js';
+import { bindPaletteControls } from './card-render.js';
+import { escapeHtml, ordinal } from './text.js';
 
 const PAGE_SIZE = 10;
 
@@ -18,7 +23,7 @@ let filteredGames = [];
 let currentPage   = 0;
 
 const filters = {
-  mode:    'all',  // 'all' | 'solo' | 'vs-computer'
+  mode:    'all',  // 'all' | 'solo' | 'vs-computer' | 'daily' | 'blitz' | 'hot-seat' | 'online' | 'drill'
   outcome: 'all',  // 'all' | 'win' | 'loss' | 'tie'
 };
 
@@ -30,6 +35,11 @@ const sortState = {
 // Numeric/date columns default to descending when first clicked (largest first).
 const DESCENDING_DEFAULT_COLS = new Set(['completedAt', 'durationMs', 'playerSets']);
 
+// Modes without an opponent, so no win/loss/tie outcome.
+const MODES_WITHOUT_OUTCOME = new Set(['solo', 'daily', 'blitz', 'hot-seat', 'drill']);
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
 // ── DOM refs ─────────────────────────────────────────────────────────────────
 
 const loadingEl      = document.getElementById('history-loading');
@@ -39,6 +49,8 @@ const emptyEl        = document.getElementById('history-empty');
 const noResultsEl    = document.getElementById('history-no-results');
 const tableWrapperEl = document.getElementById('history-table-wrapper');
 const summaryEl      = document.getElementById('history-summary-panel');
+const ratingEl       = document.getElementById('history-rating');
+const patternsEl     = document.getElementById('history-patterns');
 const tbodyEl        = document.getElementById('history-tbody');
 const prevBtn        = document.getElementById('history-prev');
 const nextBtn        = document.getElementById('history-next');
@@ -127,6 +139,8 @@ function applyFilters() {
   filteredGames = sortedGames(filtered);
   currentPage = 0;
   renderSummary();
+  renderRatingTrend();
+  renderPatterns();
   renderPage(0);
 }
 
@@ -147,9 +161,9 @@ document.getElementById('history-filters').addEventListener('pointerdown', e =>
     p.classList.toggle('active', p === pill);
   });
 
-  // Outcome is irrelevant for solo-only view: hide it and reset to 'all'
+  // Outcome is irrelevant for modes without an opponent: hide it and reset to 'all'
   if (dimension === 'mode') {
-    if (value === 'solo') {
+    if (MODES_WITHOUT_OUTCOME.has(value)) {
       filters.outcome = 'all';
       outcomeGroupEl.querySelectorAll('.filter-pill').forEach(p => {
         p.classList.toggle('active', p.dataset.value === 'all');
@@ -163,6 +177,9 @@ document.getElementById('history-filters').addEventListener('pointerdown', e =>
   applyFilters();
 });
 
+// Win/loss badges follow the card palette
+bindPaletteControls(document.getElementById('palette-select'), document.getElementById('toggle-color-cues'));
+
 // ── Summary stats ─────────────────────────────────────────────────────────────
 
 function renderSummary() {
@@ -174,10 +191,11 @@ function renderSummary() {
     return;
   }
 
-  const vsComp = games.filter(g => g.gameMode === 'vs-computer');
-  const wins   = vsComp.filter(g => g.outcome === 'win').length;
-  const losses = vsComp.filter(g => g.outcome === 'loss').length;
-  const ties   = vsComp.filter(g => g.outcome === 'tie').length;
+  // Win/loss records: vs CPU in the combined view, otherwise the filtered mode's own
+  const decided = games.filter(g => g.gameMode === (filters.mode === 'online' ? 'online' : 'vs-computer'));
+  const wins    = decided.filter(g => g.outcome === 'win').length;
+  const losses  = decided.filter(g => g.outcome === 'loss').length;
+  const ties    = decided.filter(g => g.outcome === 'tie').length;
 
   const avgDurationMs = games.reduce((s, g) => s + (g.durationMs || 0), 0) / total;
   const setTimesAll   = games.flatMap(g => g.setTimesMs || []);
@@ -189,14 +207,47 @@ function renderSummary() {
 
   if (filters.mode === 'all') {
     const solo = games.filter(g => g.gameMode === 'solo').length;
+    const daily = games.filter(g => g.gameMode === 'daily').length;
+    const blitz = games.filter(g => g.gameMode === 'blitz').length;
+    const hotSeat = games.filter(g => g.gameMode === 'hot-seat').length;
+    const online = games.filter(g => g.gameMode === 'online').length;
+    const drill = games.filter(g => g.gameMode === 'drill').length;
     stats.push({ label: 'Solo', value: solo });
     stats.push({ label: 'vs CPU', value: `${wins}W / ${losses}L / ${ties}T` });
-  } else if (filters.mode === 'vs-computer') {
+    stats.push({ label: 'Daily', value: daily });
+    stats.push({ label: 'Blitz', value: blitz });
+    stats.push({ label: 'Hot Seat', value: hotSeat });
+    stats.push({ label: 'Online', value: online });
+    stats.push({ label: 'Drill', value: drill });
+  } else if (filters.mode === 'vs-computer' || filters.mode === 'online') {
     stats.push({ label: 'W / L / T', value: `${wins} / ${losses} / ${ties}` });
+  } else if (filters.mode === 'daily') {
+    // Streaks count every daily puzzle on record, whatever the outcome filter.
+    const { current, best } = dailyStreaks(allGames);
+    stats.push({ label: 'Current Streak', value: `${current} ${current === 1 ? 'day' : 'days'}` });
+    stats.push({ label: 'Best Streak',    value: `${best} ${best === 1 ? 'day' : 'days'}` });
+  } else if (filters.mode === 'blitz') {
+    const scores   = games.map(g => g.blitzScore).filter(s => s != null);
+    const rates    = games.filter(g => g.blitzMinutes).map(g => (g.playerSets ?? 0) / g.blitzMinutes);
+    const avgScore = scores.length ? scores.reduce((a, b) => a + b, 0) / scores.length : null;
+    const avgRate  = rates.length  ? rates.reduce((a, b) => a + b, 0) / rates.length   : null;
+    stats.push({ label: 'Best Score',     value: scores.length ? Math.max(...scores).toFixed(2) : '—' });
+    stats.push({ label: 'Avg Score',      value: avgScore !== null ? avgScore.toFixed(2) : '—' });
+    stats.push({ label: 'Avg Sets / min', value: avgRate  !== null ? avgRate.toFixed(2)  : '—' });
+  } else if (filters.mode === 'drill') {
+    const answered = games.reduce((s, g) => s + (g.drillQuestions ?? 0), 0);
+    const correct  = games.reduce((s, g) => s + (g.playerSets ?? 0), 0);
+    const topLevel = Math.max(0, ...games.map(g => g.drillMaxLevel ?? 0));
+    const answerTimes = games.flatMap(g => g.drillTimesMs ?? []);
+    const avgAnswerMs = answerTimes.length ? answerTimes.reduce((s, t) => s + t, 0) / answerTimes.length : null;
+    stats.push({ label: 'Accuracy',  value: answered ? `${Math.round((correct / answered) * 100)}%` : '—' });
+    stats.push({ label: 'Top Level', value: topLevel ? `${topLevel} differing` : '—' });
+    stats.push({ label: 'Avg Answer Time', value: avgAnswerMs !== null ? formatMs(avgAnswerMs) : '—' });
   }
 
   stats.push({ label: 'Avg Duration', value: formatDuration(avgDurationMs) });
-  stats.push({ label: 'Avg Set Time', value: avgSetMs !== null ? formatMs(avgSetMs) : '—' });
+  // Drills find no Sets on a board; their answer times are above
+  if (filters.mode !== 'drill') stats.push({ label: 'Avg Set Time', value: avgSetMs !== null ? formatMs(avgSetMs) : '—' });
 
   summaryEl.innerHTML = stats.map(s => `
     <div class="summary-stat">
@@ -206,6 +257,149 @@ function renderSummary() {
   `).join('');
 }
 
+/**
+ * Consecutive-day streaks of completed Daily Puzzles.
+ * The current streak is still alive if the last puzzle was today or yesterday.
+ * @param {Object[]} games
+ * @returns {{ current: number, best: number }}
+ */
+function dailyStreaks(games) {
+  const days = [...new Set(games
+    .filter(g => g.gameMode === 'daily' && g.puzzleDate)
+    .map(g => dayNumber(g.puzzleDate)))]
+    .sort((a, b) => a - b);
+
+  let best = 0;
+  let run  = 0;
+  days.forEach((day, i) => {
+    run  = i > 0 && day === days[i - 1] + 1 ? run + 1 : 1;
+    best = Math.max(best, run);
+  });
+
+  const now   = new Date();
+  const today = dayNumber(`${now.getFullYear()}-${now.getMonth() + 1}-${now.getDate()}`);
+  const last  = days[days.length - 1];
+  const current = last !== undefined && today - last <= 1 ? run : 0;
+  return { current, best };
+}
+
+/**
+ * Whole days since the epoch for a 'YYYY-MM-DD' puzzle key (time-zone independent).
+ * @param {string} key
+ * @returns {number}
+ */
+function dayNumber(key) {
+  const [y, m, d] = key.split('-').map(Number);
+  return Math.round(Date.UTC(y, m - 1, d) / MS_PER_DAY);
+}
+
+// ── Adaptive rating ───────────────────────────────────────────────────────────
+
+/**
+ * The calibrated rating (adaptive.js) saved with each adaptive vs Computer
+ * game in the filtered list, oldest to newest, as a line on the difficulty
+ * scale with the current rating and its change since the first game.
+ */
+function renderRatingTrend() {
+  const rated = filteredGames
+    .filter(g => g.adaptiveRating != null)
+    .sort((a, b) => (a.completedAt?.seconds ?? 0) - (b.completedAt?.seconds ?? 0));
+  ratingEl.classList.toggle('hidden', rated.length === 0);
+  if (rated.length === 0) return;
+
+  const ratings = rated.map(g => g.adaptiveRating);
+  const latest  = ratings[ratings.length - 1];
+  const change  = latest - ratings[0];
+  ratingEl.innerHTML = `
+    <h2 class="history-subheading">Adaptive Rating</h2>
+    <p class="rating-summary">
+      <strong>${latest.toFixed(1)}</strong> ${describeLevel(latest)}
+      · ${change >= 0 ? '+' : '−'}${Math.abs(change).toFixed(1)} over ${rated.length} ${rated.length === 1 ? 'game' : 'games'}
+    </p>
+    ${ratingChart(ratings)}
+  `;
+}
+
+/**
+ * Line chart of ratings against the difficulty scale, one gridline per level.
+ * Ratings beyond the scale are drawn at its edge.
+ * @param {number[]} ratings  Oldest first
+ * @returns {string}  SVG markup
+ */
+function ratingChart(ratings) {
+  const width = 320, height = 110, left = 56, right = 8, top = 8, bottom = 8;
+  const x = i => left + (ratings.length > 1 ? (i / (ratings.length - 1)) * (width - left - right) : (width - left - right) / 2);
+  const y = r => top + (1 - Math.min(MAX_LEVEL, Math.max(0, r)) / MAX_LEVEL) * (height - top - bottom);
+
+  const grid = Array.from({ length: MAX_LEVEL + 1 }, (_, level) => `
+    <line class="rating-grid" x1="${left}" x2="${width - right}" y1="${y(level)}" y2="${y(level)}"></line>
+    <text class="rating-axis" x="${left - 6}" y="${y(level) + 4}" text-anchor="end">${describeLevel(level)}</text>`).join('');
+  const points = ratings.map((r, i) => [x(i).toFixed(1), y(r).toFixed(1)]);
+  return `
+    <svg class="rating-chart" viewBox="0 0 ${width} ${height}" role="img"
+         aria-label="Adaptive rating over ${ratings.length} adaptive games">
+      ${grid}
+      <polyline class="rating-line" points="${points.map(p => p.join(',')).join(' ')}"></polyline>
+      ${points.map(([cx, cy]) => `<circle class="rating-point" cx="${cx}" cy="${cy}" r="2.5"></circle>`).join('')}
+    </svg>`;
+}
+
+// ── Set patterns ──────────────────────────────────────────────────────────────
+
+/**
+ * How often the player found each Set pattern (set-logic.js setPattern())
+ * in the filtered games, and how long those Sets took on average —
+ * slowest first, so the patterns the player is blind to top the list.
+ */
+function renderPatterns() {
+  const stats = patternStats(filteredGames);
+  patternsEl.classList.toggle('hidden', stats.length === 0);
+  if (stats.length === 0) return;
+
+  const total = stats.reduce((sum, s) => sum + s.count, 0);
+  patternsEl.innerHTML = `
+    <h2 class="history-subheading">Set Patterns</h2>
+    <table class="history-table patterns-table">
+      <thead>
+        <tr><th>Pattern</th><th>Found</th><th>Share</th><th>Avg Time</th></tr>
+      </thead>
+      <tbody>
+        ${stats.map(s => `
+          <tr>
+            <td><span class="pattern-code">${s.pattern}</span> ${describePattern(s.pattern)}</td>
+            <td>${s.count}</td>
+            <td>${Math.round((s.count / total) * 100)}%</td>
+            <td>${formatMs(s.avgMs)}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * Pair each game's setPatterns with its setTimesMs and group by pattern.
+ * Games saved before patterns were recorded have none and are skipped.
+ * @param {Object[]} games
+ * @returns {Array<{ pattern: string, count: number, avgMs: number }>}  Slowest first
+ */
+function patternStats(games) {
+  const totals = new Map(); // pattern → { count, ms }
+  for (const game of games) {
+    (game.setPatterns ?? []).forEach((pattern, i) => {
+      const ms = game.setTimesMs?.[i];
+      if (ms == null) return;
+      const entry = totals.get(pattern) ?? { count: 0, ms: 0 };
+      entry.count++;
+      entry.ms += ms;
+      totals.set(pattern, entry);
+    });
+  }
+  return [...totals]
+    .map(([pattern, { count, ms }]) => ({ pattern, count, avgMs: ms / count }))
+    .sort((a, b) => b.avgMs - a.avgMs);
+}
+
 // ── Table rendering ───────────────────────────────────────────────────────────
 
 function renderPage(page) {
@@ -247,12 +441,25 @@ function renderPage(page) {
       <td colspan="6">
         <dl class="history-detail-grid">
           ${game.gameMode === 'vs-computer' ? `<div><dt>Computer Sets</dt><dd>${game.computerSets ?? '—'}</dd></div>` : ''}
+          ${game.adaptiveRating != null ? `<div><dt>Your Rating</dt><dd>${game.adaptiveRating.toFixed(1)} (${describeLevel(game.adaptiveRating)})</dd></div>` : ''}
+          ${game.adaptiveRating != null ? `<div><dt>Computer Level</dt><dd>${game.computerLevel.toFixed(1)} · target ${Math.round(game.adaptiveTarget * 100)}% wins</dd></div>` : ''}
           ${game.gameMode === 'solo' ? `<div><dt>Hints Used</dt><dd>${game.hintsUsed ?? 0}</dd></div>` : ''}
-          <div><dt>Mistakes</dt><dd>${game.mistakeCount ?? 0}</dd></div>
-          <div><dt>Extra Cards Dealt</dt><dd>${game.extraCardsDealt ?? 0}</dd></div>
-          <div><dt>Avg Set Time</dt><dd>${game.avgSetTimeMs != null ? formatMs(game.avgSetTimeMs) : '—'}</dd></div>
-          <div><dt>Fastest Set</dt><dd>${game.fastestSetMs != null ? formatMs(game.fastestSetMs) : '—'}</dd></div>
-          <div><dt>Slowest Set</dt><dd>${game.slowestSetMs != null ? formatMs(game.slowestSetMs) : '—'}</dd></div>
+          ${game.gameMode === 'daily' ? `<div><dt>Puzzle Date</dt><dd>${game.puzzleDate ?? '—'}</dd></div>` : ''}
+          ${game.gameMode === 'online' ? `<div><dt>Room</dt><dd>${escapeHtml(game.roomCode ?? '—')}</dd></div>` : ''}
+          ${game.players ? game.players.map(p => `<div><dt>${ordinal(p.rank)} · ${escapeHtml(p.name)}</dt><dd>${p.sets} Sets · ${p.mistakes} mistakes</dd></div>`).join('') : ''}
+          ${game.gameMode === 'blitz' ? `<div><dt>Blitz Score</dt><dd>${game.blitzScore != null ? game.blitzScore.toFixed(2) : '—'}</dd></div>` : ''}
+          ${game.gameMode !== 'hot-seat' ? `<div><dt>Mistakes</dt><dd>${game.mistakeCount ?? 0}</dd></div>` : ''}
+          ${game.computerMistakes != null ? `<div><dt>Computer Mistakes</dt><dd>${game.computerMistakes}</dd></div>` : ''}
+          ${game.gameMode === 'drill' ? `<div><dt>Accuracy</dt><dd>${game.playerSets ?? 0} of ${game.drillQuestions ?? 0} (${Math.round((game.drillAccuracy ?? 0) * 100)}%)</dd></div>` : ''}
+          ${game.gameMode === 'drill' ? `<div><dt>Top Level</dt><dd>${game.drillMaxLevel ?? '—'} ${game.drillMaxLevel === 1 ? 'feature' : 'features'} differing</dd></div>` : ''}
+          ${game.gameMode !== 'drill' && !game.noSetRule ? `<div><dt>Extra Cards Dealt</dt><dd>${game.extraCardsDealt ?? 0}</dd></div>` : ''}
+          ${game.noSetRule ? `<div><dt>No Set Calls</dt><dd>${game.noSetCalls ?? 0}</dd></div>` : ''}
+          ${game.computerNoSetCalls != null ? `<div><dt>Computer No Set Calls</dt><dd>${game.computerNoSetCalls}</dd></div>` : ''}
+          ${game.gameMode === 'drill' ? timeRows('Answer', game.drillAvgMs, game.drillFastestMs, game.drillSlowestMs)
+                                      : timeRows('Set', game.avgSetTimeMs, game.fastestSetMs, game.slowestSetMs)}
+          ${game.setPatterns?.length ? `<div><dt>All-Different Sets</dt><dd>${game.setPatterns.filter(p => p === 'DDDD').length} of ${game.setPatterns.length}</dd></div>` : ''}
+          ${game.seed != null && game.gameMode !== 'daily' ? `<div><dt>Seed</dt><dd><a href="play.html?seed=${game.seed}">${game.seed}</a></dd></div>` : ''}
+          ${game.eventLog?.length ? `<div><dt>Replay</dt><dd><a href="replay.html?game=${encodeURIComponent(game.id)}">Watch replay</a></dd></div>` : ''}
         </dl>
       </td>
     `;
@@ -339,14 +546,34 @@ function formatDate(timestamp) {
 
 function formatMode(game) {
   if (game.gameMode === 'solo') return 'Solo';
+  if (game.gameMode === 'daily') return 'Daily';
+  if (game.gameMode === 'blitz') return game.blitzMinutes ? `Blitz (${game.blitzMinutes} min)` : 'Blitz';
+  if (game.gameMode === 'hot-seat') return game.players ? `Hot Seat (${game.players.length} players)` : 'Hot Seat';
+  if (game.gameMode === 'online') return game.players ? `Online (${game.players.length} players)` : 'Online';
+  if (game.gameMode === 'drill') return game.drillStyle === 'picker' ? 'Drill (81 cards)' : 'Drill';
   const diff = game.difficulty
     ? game.difficulty.charAt(0).toUpperCase() + game.difficulty.slice(1)
     : '';
   return diff ? `vs CPU (${diff})` : 'vs CPU';
 }
 
+/**
+ * Average, fastest and slowest time rows for a game's detail grid.
+ * @param {string} what  'Set' | 'Answer'
+ * @param {number|null} avgMs
+ * @param {number|null} fastestMs
+ * @param {number|null} slowestMs
+ * @returns {string}
+ */
+function timeRows(what, avgMs, fastestMs, slowestMs) {
+  const value = ms => (ms != null ? formatMs(ms) : '—');
+  return `<div><dt>Avg ${what} Time</dt><dd>${value(avgMs)}</dd></div>
+          <div><dt>Fastest ${what}</dt><dd>${value(fastestMs)}</dd></div>
+          <div><dt>Slowest ${what}</dt><dd>${value(slowestMs)}</dd></div>`;
+}
+
 function outcomeCell(game) {
-  if (game.gameMode === 'solo') return '<span class="outcome-none">—</span>';
+  if (MODES_WITHOUT_OUTCOME.has(game.gameMode)) return '<span class="outcome-none">—</span>';
   const map = {
     win:  '<span class="outcome-badge outcome-win">Win</span>',
     loss: '<span class="outcome-badge outcome-loss">Loss</span>',
@@ -1,24 +1,56 @@
 /**
  * play.js — Game loop for play.html
  *
+ * The rules live in the headless engine (engine.js); this module drives it
+ * from pointer/keyboard input and timers, and renders by listening to its
+ * events. The #board children are kept parallel to game.state.board, except
+ * while a claim animation runs (busy), when the DOM catches up afterwards.
+ *
  * State:
- *   deck             — remaining undealt cards
- *   board            — cards currently visible (parallel array to DOM children of #board)
- *   selected         — indices (into board) of currently selected cards (max 3)
- *   score            — player 1's sets found
+ *   game             — engine instance for the current game (deck, board, selection, scores)
  *   busy             — true while an animation is running (blocks new selections)
- *   gameMode         — MODE_SOLO | MODE_VS_COMPUTER
- *   difficulty       — 'easy' | 'medium' | 'hard' | 'genius'
- *   computerScore    — sets found by the computer
+ *   gameMode         — MODE_SOLO | MODE_VS_COMPUTER | MODE_DAILY | MODE_BLITZ | MODE_HOT_SEAT | MODE_ONLINE
+ *   difficulty       — 'easy' | 'medium' | 'hard' | 'genius' | 'adaptive'
+ *   adaptive         — adaptive games: target win rate, calibrated rating and the current level (adaptive.js)
  *   computerTimerHandle — setTimeout handle for the computer's next move
+ *   computerPlanCards — the three cards that handle will claim (see computer.js)
+ *   gameLog          — timestamped event log of the current game (game-log.js), saved with its record
+ *   gameSeed         — seed the current deck was shuffled with (see rng.js)
+ *   puzzleDate       — Daily Puzzle key ('YYYY-MM-DD') of the current daily game
+ *   blitzMinutes     — countdown length of the current Blitz game (1, 3 or 5)
+ *   explainMistakes  — show the feature-by-feature breakdown after a mistake (a setting, prefs.js)
+ *   noSetRule        — new games use the "No Set" rule: players call Set-less boards (a setting, prefs.js)
+ *   noSetActive      — the current game uses it (see engine.js declareNoSet)
+ *   keyLabels        — show each card's position key (board-view.js BOARD_KEYS) on the board (a setting, prefs.js)
+ *   seats            — players with their own score card (Hot Seat, Online), one claimant each
+ *   buzzedSeat       — the Hot Seat player currently picking cards, or null
+ *   room             — online room connection (room-client.js), null when offline;
+ *                      in MODE_ONLINE, game is the remote game the room's server drives
+ *
+ * Local games in progress are saved to localStorage after every change (see
+ * saveProgress), so a reload — or a phone reclaiming the tab — can resume them.
  */
 
-import { createDeck, shuffle, pluralize } from './deck.js';
-import { isSet, findAllSets, hasSet } from './set-logic.js';
-import { createCardEl, renderSetList } from './card-render.js';
+import { pluralize, formatCard } from './deck.js';
+import { escapeHtml, ordinal } from './text.js';
+import { randomSeed, seedFromQuery } from './rng.js';
+import { findAllSets, explainSet, setPattern } from './set-logic.js';
+import { createGame, blitzScore, PLAYER, COMPUTER, NO_SET_BONUS } from './engine.js';
+import { dailyKey, dailySeed, generateDailyBoard } from './daily.js';
+import { COMPUTER_PROFILES, DIFFICULTY_LEVELS, profileForLevel, planComputerMove, planNoSetCall } from './computer.js';
+import { calibrate, matchLevel, describeLevel } from './adaptive.js';
+import { connectRoom, defaultRoomServer } from './room-client.js';
+import { createGameLog } from './game-log.js';
+import { analyzeRounds, summarizeRounds } from './analysis.js';
+import { createCardEl, renderSetList, renderSetExplanation, bindThemeControls, bindPaletteControls } from './card-render.js';
+import { flyCardsToScore } from './animations.js';
+import { createBoardView } from './board-view.js';
+import { createAnnouncer } from './announcer.js';
+import { playCue, bindSoundControls } from './sound.js';
+import { getPref, setPref, onPrefsChange } from './prefs.js';
 import { onAuthStateChanged } from 'https://www.gstatic.com/firebasejs/10.14.0/firebase-auth.js';
 import { auth } from './firebase-init.js';
-import { saveGame } from './db.js';
+import { saveGame, getGames } from './db.js';
 
 // ── DOM References ──────────────────────────────────────────
 const boardEl            = document.getElementById('board');
@@ -33,6 +65,7 @@ const modalOverlay       = document.getElementById('modal-overlay');
 const modalScores        = document.getElementById('modal-scores');
 const btnPlayAgain       = document.getElementById('btn-play-again');
 const btnShowSets        = document.getElementById('btn-show-sets');
+const btnNoSet           = document.getElementById('btn-no-set');
 const setsOverlay        = document.getElementById('sets-overlay');
 const setsOverlayList    = document.getElementById('sets-overlay-list');
 const btnCloseSets       = document.getElementById('btn-close-sets');
@@ -45,23 +78,95 @@ const modalDifficulty    = document.getElementById('modal-difficulty');
 const btnSolo            = document.getElementById('btn-solo');
 const btnVsComputer      = document.getElementById('btn-vs-computer');
 const btnBackToMode      = document.getElementById('btn-back-to-mode');
+const btnAdaptive        = document.getElementById('btn-adaptive');
+const adaptiveTargetEl   = document.getElementById('adaptive-target');
+const adaptiveNoteEl     = document.getElementById('adaptive-note');
+const btnDaily           = document.getElementById('btn-daily');
+const dailyFoundPanel    = document.getElementById('daily-found-panel');
+const dailyFoundList     = document.getElementById('daily-found-list');
+const dailyFoundCountEl  = document.getElementById('daily-found-count');
+const modalSubtitleEl    = document.getElementById('modal-subtitle');
+const btnBlitz           = document.getElementById('btn-blitz');
+const modalBlitz         = document.getElementById('modal-blitz');
+const btnBlitzBack       = document.getElementById('btn-blitz-back');
+const timerLabelEl       = document.getElementById('timer-label');
+const hotseatScoresEl    = document.getElementById('hotseat-scores');
+const btnHotSeat         = document.getElementById('btn-hotseat');
+const modalHotSeat       = document.getElementById('modal-hotseat');
+const btnHotSeatStart    = document.getElementById('btn-hotseat-start');
+const btnHotSeatBack     = document.getElementById('btn-hotseat-back');
+const hotseatRowEls      = document.querySelectorAll('.hotseat-player-row');
+const btnOnline          = document.getElementById('btn-online');
+const modalOnline        = document.getElementById('modal-online');
+const onlineJoinForm     = document.getElementById('online-join-form');
+const onlineNameInput    = document.getElementById('online-name');
+const onlineRoomInput    = document.getElementById('online-room');
+const onlineServerInput  = document.getElementById('online-server');
+const onlineLobbyEl      = document.getElementById('online-lobby');
+const onlineRoomCodeEl   = document.getElementById('online-room-code');
+const onlinePlayersEl    = document.getElementById('online-players');
+const btnOnlineStart     = document.getElementById('btn-online-start');
+const onlineWaitingEl    = document.getElementById('online-waiting');
+const btnOnlineLeave     = document.getElementById('btn-online-leave');
+const btnCopyRoomLink    = document.getElementById('btn-copy-room-link');
+const btnOnlineBack      = document.getElementById('btn-online-back');
+const onlineStatusEl     = document.getElementById('online-status');
+const modalResume        = document.getElementById('modal-resume');
+const resumeSummaryEl    = document.getElementById('resume-summary');
+const btnResumeSaved     = document.getElementById('btn-resume-saved');
+const btnDiscardSaved    = document.getElementById('btn-discard-saved');
+const toggleExplainEl    = document.getElementById('toggle-explain');
+const toggleNoSetEl      = document.getElementById('toggle-no-set');
+const toggleKeyLabelsEl  = document.getElementById('toggle-key-labels');
+const explainPanel       = document.getElementById('explain-panel');
+const explainCardsEl     = document.getElementById('explain-cards');
+const explainListEl      = document.getElementById('explain-list');
+const btnCloseExplain    = document.getElementById('btn-close-explain');
+const btnDescribe        = document.getElementById('btn-describe');
 
 // ── Game Mode Constants ─────────────────────────────────────
 const MODE_SOLO        = 'solo';
 const MODE_VS_COMPUTER = 'vs-computer';
+const MODE_DAILY       = 'daily';
+const MODE_BLITZ       = 'blitz';
+const MODE_HOT_SEAT    = 'hot-seat';
+const MODE_ONLINE      = 'online';
 
 // ── Game State ──────────────────────────────────────────────
-let deck     = [];
-let board    = [];   // card objects on the board
-let selected = [];   // indices into board[]
-let score    = 0;
-let busy     = false;
+let game = null;   // engine instance, replaced on every new game
+let busy = false;
+let gameLog = null; // createGameLog() for the current game
+
+/** The board's card elements; picks go to toggleSelect unless an animation or pause blocks them. */
+const boardView = createBoardView(boardEl, { onPick: toggleSelect, isLocked: () => busy || paused });
+
+/** Reads the game out to screen readers: every toast, plus the cards behind deals, claims and hints. */
+const announcer = createAnnouncer();
+
+// Seed state
+// urlSeed:  fixed seed from ?seed= — every game on this page load reuses it
+// gameSeed: seed used to shuffle the current game's deck
+const urlSeed = seedFromQuery(window.location.search);
+let gameSeed  = null;
+let puzzleDate = null;
 
 // Mode & computer state
-let gameMode          = MODE_SOLO;  // MODE_SOLO | MODE_VS_COMPUTER
-let difficulty        = 'medium';  // 'easy' | 'medium' | 'hard' | 'genius'
-let computerScore     = 0;
+let gameMode          = MODE_SOLO;  // MODE_SOLO | MODE_VS_COMPUTER | MODE_DAILY | MODE_BLITZ | MODE_HOT_SEAT | MODE_ONLINE
+let blitzMinutes      = 3;          // 1 | 3 | 5
+let hotSeatCount      = 2;          // 2 | 3 | 4
+let difficulty        = 'medium';  // 'easy' | 'medium' | 'hard' | 'genius' | 'adaptive'
+/**
+ * Adaptive games only (else null), plain JSON so it's saved with the game:
+ *   { target, rating, startLevel, baselineMs, level, levelSum, levelCount }
+ * level is where the computer plays now; levelSum/levelCount average it over the game's Sets.
+ */
+let adaptive          = null;
+let explainMistakes   = getPref('explainMistakes');
+let noSetRule         = getPref('noSetRule');
+let noSetActive       = false;
+let keyLabels         = getPref('keyLabels');
 let computerTimerHandle = null;
+let computerPlanCards   = null; // cards rather than indices, so board shifts don't matter; [] = call "No Set!"
 
 // Hint state
 // hintStep:       how many of the hint set's cards have been revealed (0–3)
@@ -73,13 +178,35 @@ let hintSetIndices = null;
 let timerStart    = 0;    // Date.now() when current game began
 let timerInterval = null; // setInterval handle, null when stopped
 let finalTimeStr  = '0:00'; // frozen display value after game ends
+let nextTimeWarning = 0;  // index into TIME_WARNINGS_MS of the next Blitz warning to read out
 let lastSetTime   = 0;    // Date.now() at game start or last Set completion
 let playerSetTimes = [];  // ms elapsed for each Set found by the player
+let playerSetPatterns = []; // setPattern() of each of those Sets, in the same order
 
-// Stats counters (saved to Firestore on game over)
-let hintsUsed       = 0;  // number of hint card reveals used
-let mistakeCount    = 0;  // number of invalid Set submissions
-let extraCardsDealt = 0;  // number of times 3 extra cards were dealt (no set on board)
+// Stats counters (saved to Firestore on game over; mistakes and extra deals are tracked by the engine)
+let hintsUsed = 0;  // number of hint card reveals used
+
+// ── Hot Seat State ──────────────────────────────────────────
+/**
+ * One entry per Hot Seat player:
+ *   { id, name, key, cardEl, scoreEl, buzzBtn, lockedOut, setTimes, setPatterns }
+ * id is the engine claimant; setTimes holds ms elapsed for each of their Sets
+ * and setPatterns the setPattern() of each.
+ */
+let seats              = [];
+let buzzedSeat         = null; // seat picking cards right now, or null
+let buzzTimerHandle    = null; // setTimeout handle for the buzz window
+let buzzDeadline       = 0;    // Date.now() when the buzz window closes
+let buzzPauseRemaining = 0;    // ms left in the buzz window when paused
+
+// ── Online State ────────────────────────────────────────────
+const urlParams  = new URLSearchParams(window.location.search);
+let room         = null; // connection from connectRoom(), null when not in a room
+let onlineGame   = null; // remote game the host just started, picked up by startGame()
+
+// ── Saved Game State ────────────────────────────────────────
+const SAVE_STORAGE_KEY = 'set.savedGame';
+const SAVE_VERSION     = 3; // bump when the saved shape changes; older saves are dropped
 
 // Auth state (kept in sync via onAuthStateChanged subscription below)
 let currentUser      = null;
@@ -109,387 +236,837 @@ let pausedElapsed         = 0; // ms elapsed when paused
 let computerTimerDeadline = 0; // Date.now() + delay when computer timer was scheduled
 let computerPauseRemaining = 0; // ms left on computer timer when paused
 
-// ── Animation Timing Constants (ms) ─────────────────────────
-const DEAL_STAGGER_MS        = 80;   // delay between successive cards dealing in
-const REPLACE_STAGGER_MS     = 70;   // delay between successive cards replacing
-const ERROR_FLASH_MS         = 650;  // error flash animation duration
+// ── Timing Constants (ms) ───────────────────────────────────
 const COMPUTER_RETRY_MS      = 300;  // retry delay when busy blocks a computer move
 const EXTRA_DEAL_PAUSE_MS    = 3000; // pause before dealing extra cards (no set on board)
-const FLY_DURATION_MS        = 350;  // CSS transition duration per card clone
-const FLY_STAGGER_MS         = 70;   // ms between launching successive clones
-const FLY_CALLBACK_BUFFER_MS = 40;   // ms after last clone lands before onComplete fires
-const CLONE_CLEANUP_MS       = 20;   // ms after each clone's flight before it's removed
-const PULSE_LEAD_MS          = 60;   // ms before last clone lands that score pulse fires
-
-// ── Difficulty Ranges (ms) ──────────────────────────────────
-const DIFFICULTY_RANGES = {
-  easy:   [10000, 30000],
-  medium: [7500,  20000],
-  hard:   [5000,  15000],
-  genius: [2000,   8000],
-};
+const BLITZ_TICK_MS          = 250;  // countdown refresh interval, so time runs out on time
+const BUZZ_WINDOW_MS         = 5000; // time a Hot Seat player has to pick three cards after buzzing
+const NO_SET_REVEAL_MS       = 2500; // how long a wrong "No Set!" call shows the Set that was there
+const HOT_SEAT_KEYS          = ['1', '4', '7', '0']; // buzz key per seat, spread across the number row
+const TIME_WARNINGS_MS       = [60000, 30000, 10000]; // Blitz time left read out to screen readers
+
+/** Modes that offer the "No Set" rule: the Daily Puzzle has no extra deals and rooms set their own rules. */
+const NO_SET_MODES = [MODE_SOLO, MODE_VS_COMPUTER, MODE_BLITZ, MODE_HOT_SEAT];
 
 // ── Mode Selection ───────────────────────────────────────────
 function showModeModal() {
   modalOverlay.classList.add('hidden');
   modalDifficulty.classList.add('hidden');
+  modalBlitz.classList.add('hidden');
+  modalHotSeat.classList.add('hidden');
+  modalOnline.classList.add('hidden');
+  modalResume.classList.add('hidden');
   setsOverlay.classList.add('hidden');
   modalMode.classList.remove('hidden');
 }
 
+/** The difficulty picker, with the player's default difficulty marked and focused. */
 function showDifficultyModal() {
   modalMode.classList.add('hidden');
   modalDifficulty.classList.remove('hidden');
+  const preferred = getPref('difficulty');
+  const buttons   = [...document.querySelectorAll('.difficulty-btn'), btnAdaptive];
+  for (const btn of buttons) {
+    const isDefault = (btn === btnAdaptive ? 'adaptive' : btn.dataset.difficulty) === preferred;
+    btn.classList.toggle('is-default', isDefault);
+    if (isDefault) btn.focus();
+  }
+}
+
+function showBlitzModal() {
+  modalMode.classList.add('hidden');
+  modalBlitz.classList.remove('hidden');
+}
+
+function showHotSeatModal() {
+  modalMode.classList.add('hidden');
+  setHotSeatCount(hotSeatCount);
+  modalHotSeat.classList.remove('hidden');
+}
+
+/**
+ * Show name fields for the chosen number of Hot Seat players.
+ * @param {number} count  2–4
+ */
+function setHotSeatCount(count) {
+  hotSeatCount = count;
+  document.querySelectorAll('.hotseat-count-btn').forEach(btn => {
+    btn.classList.toggle('btn-primary',   Number(btn.dataset.count) === count);
+    btn.classList.toggle('btn-secondary', Number(btn.dataset.count) !== count);
+  });
+  hotseatRowEls.forEach((row, i) => {
+    row.querySelector('.buzz-key').textContent = HOT_SEAT_KEYS[i];
+    row.classList.toggle('hidden', i >= count);
+  });
 }
 
 // ── Initialisation ──────────────────────────────────────────
-function startGame() {
+/**
+ * Start a new game in the current mode, or carry on a saved one.
+ * @param {Object|null} [saved]  Written by saveProgress(); gameMode and its
+ *                               settings must already be restored from it
+ */
+function startGame(saved = null) {
   resetHint();
+  hideExplanation();
   clearComputerTimer();
-  deck          = shuffle(createDeck());
-  board         = [];
-  selected      = [];
-  score         = 0;
-  computerScore = 0;
-  busy          = false;
+  endBuzz();
+  if (gameMode !== MODE_ONLINE) leaveRoom();
+  if (!saved) clearSavedGame(); // a new game replaces any unfinished one
+  if (saved) adaptive = saved.adaptive ?? null;
+  else if (gameMode !== MODE_VS_COMPUTER || difficulty !== 'adaptive') adaptive = null;
+  // A saved game keeps the rule it started with
+  noSetActive = saved ? saved.engine.declareNoSet : noSetRule && NO_SET_MODES.includes(gameMode);
+  if (saved) {
+    puzzleDate = saved.puzzleDate;
+    gameSeed   = saved.gameSeed;
+    game       = createGame({ resume: saved.engine });
+  } else if (gameMode === MODE_DAILY) {
+    // The date picks the seed; ?seed= doesn't apply to the Daily Puzzle.
+    puzzleDate = dailyKey();
+    gameSeed   = dailySeed(puzzleDate);
+    // The engine deals from the end of the deck — reverse to keep the generated layout.
+    game = createGame({ deck: generateDailyBoard(gameSeed).reverse(), puzzle: true });
+  } else if (gameMode === MODE_ONLINE) {
+    // The room server dealt this game; the remote game mirrors its board.
+    puzzleDate = null;
+    game       = onlineGame;
+    gameSeed   = game.state.seed;
+  } else {
+    puzzleDate = null;
+    gameSeed   = urlSeed ?? randomSeed();
+    // Blitz never runs dry: claimed cards are shuffled back in when the deck runs out.
+    game       = createGame({
+      seed:         gameSeed,
+      recycle:      gameMode === MODE_BLITZ,
+      declareNoSet: noSetActive,
+    });
+  }
+  busy = false;
+
+  game.on('cardsDealt',      onCardsDealt);
+  game.on('extraCardsDealt', onExtraCardsDealt);
+  game.on('deckReshuffled',  onDeckReshuffled);
+  game.on('setClaimed',      gameMode === MODE_DAILY ? onPuzzleSetFound : onSetClaimed);
+  game.on('alreadyFound',    onAlreadyFound);
+  game.on('mistake',         onMistake);
+  game.on('claimLate',       onClaimLate);
+  game.on('noSetCalled',     onNoSetCalled);
+  game.on('noSetWrong',      onNoSetWrong);
+  game.on('gameOver',        onGameOver);
 
   // Show or hide controls based on mode
   btnHint.classList.toggle('hidden', gameMode !== MODE_SOLO);
   btnShowSets.classList.toggle('hidden', gameMode !== MODE_SOLO);
+  btnNoSet.classList.toggle('hidden', !noSetActive);
   scoreComputerCardEl.classList.toggle('hidden', gameMode !== MODE_VS_COMPUTER);
-  document.getElementById('computer-difficulty').textContent =
-    gameMode === MODE_VS_COMPUTER ? difficulty : '';
+  // Others keep playing in an online room, so it can't be paused
+  btnPause.classList.toggle('hidden', gameMode === MODE_ONLINE);
+  const usesSeats = gameMode === MODE_HOT_SEAT || gameMode === MODE_ONLINE;
+  scoreCardEl.classList.toggle('hidden', usesSeats);
+  hotseatScoresEl.classList.toggle('hidden', !usesSeats);
+  renderSeats(saved?.seats
+            ?? (gameMode === MODE_HOT_SEAT ? hotSeatPlayers()
+              : gameMode === MODE_ONLINE   ? game.players
+              : []));
+  renderDifficultyLabel();
+  dailyFoundPanel.classList.toggle('hidden', gameMode !== MODE_DAILY);
+  dailyFoundList.innerHTML = '';
+  timerLabelEl.textContent = gameMode === MODE_BLITZ ? 'remaining' : 'elapsed';
 
   paused = false;
   pausedElapsed = 0;
   computerTimerDeadline = 0;
   computerPauseRemaining = 0;
   hintsUsed = 0;
-  mistakeCount = 0;
-  extraCardsDealt = 0;
   pendingGameRecord = null;
 
-  boardEl.innerHTML = '';
+  boardView.clear();
   updateScoreDisplay();
   pauseOverlay.classList.add('hidden');
   modalMode.classList.add('hidden');
   modalDifficulty.classList.add('hidden');
+  modalBlitz.classList.add('hidden');
+  modalHotSeat.classList.add('hidden');
+  modalOnline.classList.add('hidden');
+  modalResume.classList.add('hidden');
   modalOverlay.classList.add('hidden');
 
-  // Deal initial 12 cards, then ensure a Set exists (silent — no toast at start).
-  dealCards(12, 0);
-  ensureSetOnBoard(null, false);
+  // Deal initial 12 cards; the engine silently tops up until a Set exists.
+  // A saved game re-deals its saved board instead — that board is already in
+  // its log, so logging picks up after the re-deal.
+  if (!saved) {
+    startTimer();
+    gameLog = createGameLog(game, gameClock);
+  }
+  game.start();
+  if (saved) gameLog = createGameLog(game, gameClock, saved.log);
+  if (gameMode === MODE_DAILY) renderFoundSets();
   updateStatus();
-  startTimer();
-
-  if (gameMode === MODE_VS_COMPUTER) {
+  if (saved) {
+    restoreProgress(saved);
+  } else if (gameMode === MODE_VS_COMPUTER) {
     scheduleComputerMove();
   }
-}
 
-// ── Helpers ──────────────────────────────────────────────────
-/** Returns a random rotation between -2 and +2 degrees (2 decimal places). */
-function randomRotation() {
-  return (Math.random() * 4 - 2).toFixed(2) + 'deg';
+  // Keep the saved copy current from here on
+  for (const event of ['cardsDealt', 'setClaimed', 'mistake', 'extraCardsDealt', 'deckReshuffled', 'noSetWrong']) {
+    game.on(event, saveProgress);
+  }
+  saveProgress();
 }
 
 // ── Dealing ─────────────────────────────────────────────────
 /**
- * Deal n cards from the deck onto the board.
- * @param {number} n
- * @param {number} startDelayMs  Animation delay for the first card; each subsequent card adds 80ms.
- */
-function dealCards(n, startDelayMs = 0) {
-  const toDeal = Math.min(n, deck.length);
-  for (let i = 0; i < toDeal; i++) {
-    const card = deck.pop();
-    board.push(card);
-    const el = createCardEl(card);
-    el.style.setProperty('--card-rotate', randomRotation());
-    el.addEventListener('pointerdown', onCardPointerDown);
-    el.addEventListener('keydown', onCardKeyDown);
-    dealInCard(el, startDelayMs + i * DEAL_STAGGER_MS);
-    boardEl.appendChild(el);
-  }
-}
-
-/**
- * Replace card at board index with a new card from the deck (if available).
- * @param {number} boardIndex
- * @param {number} delayMs  Deal-in animation delay.
- * @returns {boolean}
- */
-function replaceCard(boardIndex, delayMs = 0) {
-  if (deck.length === 0) return false;
-  const card = deck.pop();
-  board[boardIndex] = card;
-  const el = createCardEl(card);
-  el.style.setProperty('--card-rotate', randomRotation());
-  el.addEventListener('pointerdown', onCardPointerDown);
-  el.addEventListener('keydown', onCardKeyDown);
-  dealInCard(el, delayMs);
-  boardEl.children[boardIndex].replaceWith(el);
-  return true;
+ * Engine 'cardsDealt' — append the new cards with a staggered deal-in. The
+ * opening board takes keyboard focus if nothing else has it; cards added
+ * later are read out.
+ */
+function onCardsDealt({ indices, cards }) {
+  boardView.deal(cards);
+  const size = game.state.board.length;
+  if (indices[0] === 0) {
+    announcer.announce(`${size} cards dealt. Arrow keys move between cards; T describes the board.`);
+    if (document.activeElement === document.body) boardView.focusCard(0);
+  } else {
+    announcer.announce(`${cards.length} ${pluralize(cards.length, 'card')} added, ${size} on board: ${boardView.describe(indices).join('; ')}.`);
+  }
 }
 
-/** Remove cards at given board indices (high to low to preserve lower indices). */
-function removeCards(indices) {
-  const sorted = [...indices].sort((a, b) => b - a);
-  for (const idx of sorted) {
-    board.splice(idx, 1);
-    boardEl.children[idx].remove();
-  }
+/** Engine 'extraCardsDealt' — explain why the board is growing ("No Set" calls explain themselves). */
+function onExtraCardsDealt() {
+  if (noSetActive) return;
+  showToast('No sets on the board — adding 3 more cards…');
+  playCue('extraDeal');
 }
 
-/**
- * After a Set is matched, replace the three slots in-place (if the board has
- * ≤12 cards and the deck has cards remaining) or simply remove them.
- * @param {number[]} indices  Three board indices of the matched cards.
- */
-function replaceOrRemoveCards(indices) {
-  if (board.length <= 12 && deck.length >= 3) {
-    const sorted = [...indices].map((idx, i) => ({ idx, i }))
-                               .sort((a, b) => b.idx - a.idx);
-    for (const { idx, i } of sorted) replaceCard(idx, i * REPLACE_STAGGER_MS);
-  } else {
-    removeCards(indices);
-  }
+/** Engine 'deckReshuffled' (Blitz) — the discard pile went back under the deck. */
+function onDeckReshuffled() {
+  showToast('Deck empty — shuffling claimed cards back in…');
 }
 
 // ── Board Management ────────────────────────────────────────
 /**
- * Ensure there is at least one Set on the board.
- * If notify is true (gameplay), shows a toast and waits 2s before each batch
- * of 3 extra cards so the player understands why the board grew.
- * If notify is false (game init), deals synchronously with no toast.
+ * Ensure there is at least one Set on the board during play.
+ * Waits before each batch of 3 extra cards so the player can read the toast
+ * (shown by onExtraCardsDealt) and understands why the board grew.
  * @param {Function|null} onDone  Called when a Set is present or deck is empty.
- * @param {boolean}       notify  Whether to show a toast and pause before dealing.
  */
-function ensureSetOnBoard(onDone = null, notify = true) {
-  if (hasSet(board) || deck.length === 0) {
+function ensureSetOnBoard(onDone = null) {
+  if (!game.needsExtraCards()) {
     onDone?.();
     return;
   }
-  if (!notify) {
-    // Silent synchronous path used during game initialisation.
-    dealCards(3, 0);
-    ensureSetOnBoard(onDone, false);
-    return;
-  }
-  // Notify path: pause so the player can read the toast before cards appear.
   setTimeout(() => {
-    showToast('No sets on the board — adding 3 more cards…');
-    extraCardsDealt++;
-    dealCards(3, 0);
-    ensureSetOnBoard(onDone, true);
+    game.dealExtraCards();
+    ensureSetOnBoard(onDone);
   }, EXTRA_DEAL_PAUSE_MS);
 }
 
 // ── Selection & Validation ──────────────────────────────────
-function onCardPointerDown(e) {
-  e.preventDefault(); // prevent mouse event double-fire on touch
-  if (busy || paused) return;
-  const el = e.currentTarget;
-  const idx = indexOfEl(el);
-  if (idx === -1) return;
-  toggleSelect(idx);
-}
-
-function onCardKeyDown(e) {
-  if (e.key === 'Enter' || e.key === ' ') {
-    e.preventDefault();
-    if (busy || paused) return;
-    const idx = indexOfEl(e.currentTarget);
-    if (idx !== -1) toggleSelect(idx);
-  }
-}
-
-function indexOfEl(el) {
-  return Array.from(boardEl.children).indexOf(el);
-}
-
 function toggleSelect(idx) {
-  const pos = selected.indexOf(idx);
-  if (pos !== -1) {
-    // Deselect
-    selected.splice(pos, 1);
-    boardEl.children[idx].classList.remove('selected');
+  if (gameMode === MODE_HOT_SEAT && !buzzedSeat) {
+    showToast('Buzz in first — press your key or tap Buzz.', 1800);
     return;
   }
-  if (selected.length >= 3) return; // already have 3 pending
+  const isSelected = game.state.selected.includes(idx);
+  if (!isSelected && game.state.selected.length >= 3) return; // already have 3 pending
 
-  selected.push(idx);
-  boardEl.children[idx].classList.add('selected');
+  hideExplanation();
+  // A third pick is answered by the claim's own cue
+  if (!isSelected && game.state.selected.length < 2) playCue('select');
 
-  if (selected.length === 3) {
-    validateSelection();
-  }
+  boardView.setSelected(idx, !isSelected);
+  gameLog.add(isSelected ? 'deselect' : 'select', { by: localClaimant(), index: idx });
+  // A third selection submits the claim; the engine answers with setClaimed or mistake.
+  game.toggleSelect(idx, localClaimant());
 }
 
-function validateSelection() {
-  const cards = selected.map(i => board[i]);
-  const els   = selected.map(i => boardEl.children[i]);
+/**
+ * Engine claimant for picks made on this device: the buzzing Hot Seat
+ * player, this client's player in an online room, otherwise PLAYER.
+ * @returns {string}
+ */
+function localClaimant() {
+  if (gameMode === MODE_HOT_SEAT) return buzzedSeat.id;
+  if (gameMode === MODE_ONLINE)   return game.playerId;
+  return PLAYER;
+}
 
-  if (isSet(...cards)) {
-    handleSuccess(els, selected);
-  } else {
-    handleError(els);
-  }
+/** Deselect any partially selected cards. */
+function clearSelection() {
+  if (game.state.selected.length > 0) gameLog.add('clear');
+  game.state.selected.forEach(i => boardView.setSelected(i, false));
+  game.clearSelection();
 }
 
 // ── Success ─────────────────────────────────────────────────
-function handleSuccess(els, indices) {
-  const now = Date.now();
-  playerSetTimes.push(now - lastSetTime);
-  lastSetTime = now;
+/** Engine 'setClaimed' — fly the cards to the claimant's score card, then refill the board. */
+function onSetClaimed({ claimant, indices, cards, replacements }) {
+  const els = boardView.cardEls(indices);
+  const pattern = setPattern(...cards);
+  // Screen readers hear which cards went, not just who took them
+  const withCards = message => ({ spoken: `${message}: ${boardView.describe(indices).join('; ')}.` });
   busy = true;
   resetHint();
 
-  if (gameMode === MODE_VS_COMPUTER) {
-    clearComputerTimer();
-    showToast('You found a Set!', 2200);
+  const seat = seatById(claimant);
+  if (adaptive) {
+    adaptive.levelSum += adaptive.level;
+    adaptive.levelCount++;
+  }
+  if (claimant === PLAYER) {
+    const now = Date.now();
+    playerSetTimes.push(now - lastSetTime);
+    playerSetPatterns.push(pattern);
+    lastSetTime = now;
+    if (adaptive) adaptToPace();
+    playCue('valid');
+
+    if (gameMode === MODE_VS_COMPUTER) {
+      clearComputerTimer();
+      showToast('You found a Set!', 2200, withCards('You found a Set'));
+    } else {
+      showToast('That\'s a Set!', 2200, withCards('That\'s a Set'));
+    }
+  } else if (seat) {
+    const now = Date.now();
+    const mine = gameMode === MODE_ONLINE && claimant === game.playerId;
+    seat.setTimes.push(now - lastSetTime);
+    seat.setPatterns.push(pattern);
+    if (mine) {
+      playerSetTimes.push(now - lastSetTime);
+      playerSetPatterns.push(pattern);
+    }
+    lastSetTime = now;
+    endBuzz();
+    clearLockouts();
+    if (gameMode === MODE_ONLINE && !mine) {
+      // Another player's claim can take cards out from under a partial selection
+      boardView.clearSelected();
+      game.clearSelection();
+    }
+    playCue(gameMode === MODE_ONLINE && !mine ? 'opponent' : 'valid');
+    const who = mine ? 'You' : seat.name;
+    showToast(`${who} found a Set!`, 2200, withCards(`${who} found a Set`));
   } else {
-    showToast('That\'s a Set!', 2200);
+    lastSetTime = Date.now();
+    playCue('opponent');
+    showToast('Computer found a Set!', 2200, withCards('Computer found a Set'));
   }
 
-  for (const el of els) el.classList.remove('selected');
-
-  score++;
+  for (const i of indices) boardView.setSelected(i, false);
   updateScoreDisplay();
 
-  flyCardsToScore(els, scoreCardEl, () => {
-    // If the board has more than 12 cards (extras were added), just remove
-    // the matched cards without replacement; otherwise replace them.
-    replaceOrRemoveCards(indices);
-
-    selected = [];
+  const targetEl = seat ? seat.cardEl
+                 : claimant === COMPUTER ? scoreComputerCardEl
+                 : scoreCardEl;
+  flyCardsToScore(els, targetEl, () => {
+    // If the board had more than 12 cards (extras were added), the engine
+    // removed the matched cards without replacement; otherwise it refilled them.
+    boardView.replaceSlots(indices, replacements);
     updateStatus();
+    announcer.announce(replacements
+      ? `New cards: ${boardView.describe(indices).join('; ')}. ${spokenStatus()}.`
+      : `${game.state.board.length} cards on board. ${spokenStatus()}.`);
 
     ensureSetOnBoard(() => {
       busy = false;
       updateStatus();
-      if (!checkGameOver() && gameMode === MODE_VS_COMPUTER && !paused) {
+      if (!game.checkGameOver() && gameMode === MODE_VS_COMPUTER && !paused) {
         scheduleComputerMove();
       }
     });
   });
 }
 
-// ── Fly-to-Score Animation ────────────────────────────────────
-/**
- * Clone the matched card elements, fly them to a score card, then call onComplete.
- * The originals are made invisible (but hold grid space) during the flight.
- * @param {Element[]} els        The 3 matched card DOM elements.
- * @param {Element}   targetEl   The score card element to fly toward.
- * @param {Function}  onComplete Called after the animation finishes.
- */
-function flyCardsToScore(els, targetEl, onComplete) {
-  const targetRect = targetEl.getBoundingClientRect();
-  const targetCX   = targetRect.left + targetRect.width  / 2;
-  const targetCY   = targetRect.top  + targetRect.height / 2;
-
-  // Stagger: last clone lands at t = FLY_STAGGER_MS * 2 + FLY_DURATION_MS
-  const TOTAL_MS = FLY_STAGGER_MS * (els.length - 1) + FLY_DURATION_MS + FLY_CALLBACK_BUFFER_MS;
-
-  els.forEach((el, i) => {
-    // Snapshot position and clone BEFORE hiding the original so the
-    // clone doesn't inherit the .flying class (which sets opacity: 0).
-    const cardRect = el.getBoundingClientRect();
-    const cardCX   = cardRect.left + cardRect.width  / 2;
-    const cardCY   = cardRect.top  + cardRect.height / 2;
-
-    const clone = el.cloneNode(true);
-    const rotation = el.style.getPropertyValue('--card-rotate');
-
-    // Hide original now (after cloning) — keeps grid space intact
-    el.classList.add('flying');
-    clone.style.cssText = `
-      position: fixed;
-      left: ${cardRect.left}px;
-      top:  ${cardRect.top}px;
-      width:  ${cardRect.width}px;
-      height: ${cardRect.height}px;
-      margin: 0;
-      z-index: 50;
-      pointer-events: none;
-      transition: transform ${FLY_DURATION_MS}ms ease-in ${i * FLY_STAGGER_MS}ms,
-                  opacity   ${FLY_DURATION_MS}ms ease-in ${i * FLY_STAGGER_MS}ms;
-    `;
-    if (rotation) clone.style.setProperty('--card-rotate', rotation);
-    document.body.appendChild(clone);
-
-    // Double-RAF: first lets the browser register the element at its start
-    // position; second triggers the transition to the target position.
-    requestAnimationFrame(() => {
-      requestAnimationFrame(() => {
-        const dx = targetCX - cardCX;
-        const dy = targetCY - cardCY;
-        clone.style.transform = `translate(${dx}px, ${dy}px) scale(0.15)`;
-        clone.style.opacity   = '0';
-      });
-    });
+// ── Daily Puzzle ────────────────────────────────────────────
+/**
+ * Engine 'setClaimed' in a Daily Puzzle — the board stays put, so the cards
+ * fly to the score card and reappear, and the Set joins the found list.
+ */
+function onPuzzleSetFound({ indices, cards }) {
+  const els = boardView.cardEls(indices);
+  const now = Date.now();
+  playerSetTimes.push(now - lastSetTime);
+  playerSetPatterns.push(setPattern(...cards));
+  lastSetTime = now;
+  busy = true;
+  playCue('valid');
 
-    // Clean up clone after its individual flight completes
-    const cloneRemoveAt = FLY_STAGGER_MS * i + FLY_DURATION_MS + CLONE_CLEANUP_MS;
-    setTimeout(() => clone.remove(), cloneRemoveAt);
+  for (const i of indices) boardView.setSelected(i, false);
+  updateScoreDisplay();
+  renderFoundSets();
+  updateStatus();
+
+  const remaining = game.state.totalSets - game.state.found.length;
+  if (remaining > 0) {
+    showToast(`That's a Set! ${remaining} more to find.`, 2200);
+  }
+
+  flyCardsToScore(els, scoreCardEl, () => {
+    for (const el of els) el.classList.remove('flying');
+    busy = false;
+    game.checkGameOver();
   });
+}
 
-  // Pulse the target score card as the last clone arrives
-  const pulseAt = FLY_STAGGER_MS * (els.length - 1) + FLY_DURATION_MS - PULSE_LEAD_MS;
-  setTimeout(() => {
-    targetEl.classList.add('score-pulse');
-    targetEl.addEventListener('animationend', () => {
-      targetEl.classList.remove('score-pulse');
-    }, { once: true });
-  }, pulseAt);
+/** Engine 'alreadyFound' — a valid Set that's already in the found list; not a mistake. */
+function onAlreadyFound({ indices }) {
+  for (const i of indices) boardView.setSelected(i, false);
+  showToast('Already found — look for a different Set.', 2200);
+}
 
-  setTimeout(onComplete, TOTAL_MS);
+/** Rebuild the found-Sets panel from the engine's found list. */
+function renderFoundSets() {
+  const { board, found, totalSets } = game.state;
+  dailyFoundCountEl.textContent = `(${found.length} of ${totalSets})`;
+  dailyFoundList.innerHTML = '';
+  renderSetList(found.map(set => set.map(i => board[i])), dailyFoundList, totalSets);
 }
 
-// ── Deal-In Animation ─────────────────────────────────────────
+// ── Error ────────────────────────────────────────────────────
+/** Engine 'mistake' — flash the three cards red, then unblock input. */
+function onMistake({ claimant, indices, cards }) {
+  const seat = seatById(claimant);
+  if (gameMode === MODE_ONLINE && claimant !== game.playerId) {
+    // Another player's wrong pick — the cards aren't selected here, so nothing to flash
+    showToast(`${seat.name} slipped — not a Set!`, 2200,
+      { spoken: `${seat.name} slipped — not a Set: ${boardView.describe(indices).join('; ')}.` });
+    return;
+  }
+
+  busy = true;
+  if (claimant === COMPUTER) {
+    showToast('Computer slipped — not a Set!', 2200,
+      { spoken: `Computer slipped — not a Set: ${boardView.describe(indices).join('; ')}.` });
+  } else if (gameMode === MODE_HOT_SEAT) {
+    playCue('invalid');
+    endBuzz();
+    lockOut(seat, `Not a Set — ${seat.name} is locked out until the next Set.`);
+  } else {
+    playCue('invalid');
+    if (explainMistakes) showExplanation(cards);
+    const why = explainMistakes ? ` ${Array.from(explainListEl.children, li => li.textContent).join('. ')}.` : '';
+    showToast('Not a Set — try again.', 2200, { spoken: `Not a Set — try again.${why}`, assertive: true });
+  }
+
+  boardView.flashError(indices, () => {
+    busy = false;
+    // The computer's claim is spent; it starts looking again
+    if (claimant === COMPUTER && !game.state.over && !paused) scheduleComputerMove();
+  });
+}
+
+/** Remote game 'claimLate' — another player claimed some of the same cards first. */
+function onClaimLate() {
+  showToast('Too late — someone else got there first.', 2200);
+}
+
+// ── No Set Calls ─────────────────────────────────────────────
 /**
- * Apply the deal-in CSS animation to a card element.
- * @param {Element} el
- * @param {number}  delayMs
+ * The "No Set!" button: this device's player says the board holds no Set.
+ * In Hot Seat the caller has to buzz in first, as for picking cards.
  */
-function dealInCard(el, delayMs) {
-  el.style.animationDelay = `${delayMs}ms`;
-  el.classList.add('dealing');
-  el.addEventListener('animationend', () => {
-    el.classList.remove('dealing');
-    el.style.animationDelay = '';
-  }, { once: true });
+function callNoSet() {
+  if (!noSetActive || busy || paused || game.state.over) return;
+  if (gameMode === MODE_HOT_SEAT && !buzzedSeat) {
+    showToast('Buzz in first — press your key or tap Buzz.', 1800);
+    return;
+  }
+  clearSelection();
+  if (game.callNoSet(localClaimant())) afterNoSetDeal();
 }
 
-// ── Error ────────────────────────────────────────────────────
-function handleError(els) {
-  busy = true;
-  mistakeCount++;
-  showToast('Not a Set — try again.', 2200);
+/** Engine 'noSetCalled' — a correct call; the engine deals 3 more cards right after. */
+function onNoSetCalled({ claimant }) {
+  resetHint();
+  clearComputerTimer();
+  const seat = seatById(claimant);
+  if (seat) {
+    endBuzz();
+    clearLockouts();
+  }
+  const name = seat ? seat.name : claimant === COMPUTER ? 'Computer' : 'You';
+  playCue(claimant === COMPUTER ? 'opponent' : 'valid');
+  showToast(`${name} called No Set — right! +${NO_SET_BONUS} and 3 more cards…`, 2400);
+  updateScoreDisplay();
+}
+
+/** After a correct call's 3 extra cards are on the board: the computer looks at the new board. */
+function afterNoSetDeal() {
+  updateStatus();
+  if (!game.checkGameOver() && gameMode === MODE_VS_COMPUTER && !paused) scheduleComputerMove();
+}
 
-  for (const el of els) {
-    el.classList.remove('selected');
-    el.classList.add('flash-error');
+/**
+ * Engine 'noSetWrong' — a wrong call counts as a mistake; highlight a Set
+ * that was on the board for a moment.
+ */
+function onNoSetWrong({ claimant, indices }) {
+  const seat = seatById(claimant);
+  const set = `The Set: ${boardView.describe(indices).join('; ')}.`;
+  if (claimant === COMPUTER) {
+    showToast('Computer called No Set — but there is one!', 2400,
+      { spoken: `Computer called No Set — but there is one. ${set}` });
+  } else if (gameMode === MODE_HOT_SEAT) {
+    playCue('invalid');
+    endBuzz();
+    lockOut(seat, `There was a Set — ${seat.name} is locked out until the next Set.`);
+  } else {
+    playCue('invalid');
+    showToast('There is a Set on the board — that counts as a mistake.', 2400,
+      { spoken: `There is a Set on the board — that counts as a mistake. ${set}`, assertive: true });
   }
 
+  resetHint();
+  busy = true;
+  const els = boardView.cardEls(indices);
+  for (const el of els) el.classList.add('hint');
   setTimeout(() => {
-    for (const el of els) {
-      el.classList.remove('flash-error');
-    }
-    selected = [];
+    for (const el of els) el.classList.remove('hint');
     busy = false;
-  }, ERROR_FLASH_MS);
+  }, NO_SET_REVEAL_MS);
+  // The computer's call is spent; it starts looking again (its move waits while busy)
+  if (claimant === COMPUTER && !paused) scheduleComputerMove();
+}
+
+// ── Settings ─────────────────────────────────────────────────
+/** Show or hide the position keys on the cards, and remember the choice. */
+function setKeyLabels(on) {
+  keyLabels = on;
+  setPref('keyLabels', on);
+  toggleKeyLabelsEl.checked = on;
+  boardView.showKeyLabels(on);
+}
+
+/** Remember the "No Set" rule for new games; a game in progress keeps its own rule. */
+function setNoSetRule(on) {
+  noSetRule = on;
+  setPref('noSetRule', on);
+  toggleNoSetEl.checked = on;
+}
+
+/**
+ * Settings changed under the page — merged in on sign-in, or edited in
+ * another tab or on the profile page.
+ * @param {string[]} keys
+ */
+function onPrefsChanged(keys) {
+  if (keys.includes('keyLabels'))       setKeyLabels(getPref('keyLabels'));
+  if (keys.includes('noSetRule'))       setNoSetRule(getPref('noSetRule'));
+  if (keys.includes('explainMistakes')) setExplainMistakes(getPref('explainMistakes'));
+}
+
+/**
+ * Before abandoning a game in progress, ask — unless the player turned
+ * confirmation prompts off.
+ * @returns {boolean}  Whether to go ahead
+ */
+function confirmLeaveGame() {
+  if (!getPref('confirmPrompts') || !game || game.state.over) return true;
+  return window.confirm('Abandon the game in progress?');
+}
+
+/** New Game: back to the mode picker, once the player confirms leaving this game. */
+function requestNewGame() {
+  if (confirmLeaveGame()) showModeModal();
+}
+
+// ── Mistake Explanation ──────────────────────────────────────
+/** Remember the "Explain mistakes" setting and hide the overlay when it's turned off. */
+function setExplainMistakes(on) {
+  explainMistakes = on;
+  setPref('explainMistakes', on);
+  toggleExplainEl.checked = on;
+  if (!on) hideExplanation();
+}
+
+/**
+ * Show the feature-by-feature breakdown of an invalid claim.
+ * Stays up until the next selection, a new game, or the close button.
+ * @param {object[]} cards  The three claimed cards
+ */
+function showExplanation(cards) {
+  explainCardsEl.innerHTML = '';
+  for (const card of cards) explainCardsEl.appendChild(createCardEl(card));
+  renderSetExplanation(explainSet(...cards), explainListEl);
+  explainPanel.classList.remove('hidden');
+}
+
+function hideExplanation() {
+  explainPanel.classList.add('hidden');
+}
+
+// ── Hot Seat ─────────────────────────────────────────────────
+/**
+ * The Hot Seat players picked in the setup modal, with their buzz keys.
+ * @returns {Array<{ id: string, name: string, key: string }>}
+ */
+function hotSeatPlayers() {
+  return Array.from({ length: hotSeatCount }, (_, i) => ({
+    id:   `p${i + 1}`,
+    name: hotseatRowEls[i].querySelector('.hotseat-name').value.trim() || `Player ${i + 1}`,
+    key:  HOT_SEAT_KEYS[i],
+  }));
+}
+
+/**
+ * Build one score card per player and reset seats. Players with a buzz key
+ * (Hot Seat) also get a Buzz button; in an online room, this client's own
+ * card is marked "you".
+ * @param {Array<{ id: string, name: string, key?: string }>} players  [] clears the panel
+ */
+function renderSeats(players) {
+  hotseatScoresEl.innerHTML = '';
+  seats = [];
+  for (const { id, name, key } of players) {
+    const seat = { id, name, key, lockedOut: false, setTimes: [], setPatterns: [] };
+    const isYou = gameMode === MODE_ONLINE && id === game.playerId;
+
+    seat.cardEl = document.createElement('div');
+    seat.cardEl.className = 'score-card hotseat-card';
+    seat.cardEl.innerHTML = `
+      <div class="player-name"></div>
+      <div class="player-score">0</div>
+      ${key ? `<button class="btn btn-secondary buzz-btn">Buzz <kbd class="buzz-key">${key}</kbd></button>` : ''}
+      <div class="buzz-bar"></div>`;
+    // Names are typed by players — set as text, never as markup
+    seat.cardEl.querySelector('.player-name').textContent = isYou ? `${name} (you)` : name;
+    seat.scoreEl = seat.cardEl.querySelector('.player-score');
+    seat.buzzBtn = seat.cardEl.querySelector('.buzz-btn');
+    seat.buzzBtn?.addEventListener('pointerdown', e => {
+      e.preventDefault();
+      buzz(seat);
+    });
+    seat.buzzBtn?.addEventListener('keydown', e => {
+      if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); buzz(seat); }
+    });
+
+    hotseatScoresEl.appendChild(seat.cardEl);
+    seats.push(seat);
+  }
+}
+
+/**
+ * The Hot Seat player with a given engine claimant id.
+ * @param {string} id
+ * @returns {Object|undefined}
+ */
+function seatById(id) {
+  return seats.find(seat => seat.id === id);
+}
+
+/**
+ * A player buzzes in: they alone may pick cards for BUZZ_WINDOW_MS.
+ * Ignored while someone else is picking, or if the player is locked out.
+ * @param {Object} seat
+ */
+function buzz(seat) {
+  if (busy || paused || game.state.over || buzzedSeat || seat.lockedOut) return;
+  clearSelection();
+  buzzedSeat = seat;
+  seat.cardEl.classList.add('buzzing');
+  boardEl.classList.add('buzz-active');
+  startBuzzTimer(BUZZ_WINDOW_MS);
+}
+
+/**
+ * (Re)start the buzz window and its shrinking bar.
+ * @param {number} ms  Time left in the window
+ */
+function startBuzzTimer(ms) {
+  const bar = buzzedSeat.cardEl.querySelector('.buzz-bar');
+  bar.style.animationDuration  = `${BUZZ_WINDOW_MS}ms`;
+  bar.style.animationPlayState = 'running';
+  buzzDeadline    = Date.now() + ms;
+  buzzTimerHandle = setTimeout(onBuzzTimeout, ms);
+}
+
+/** The buzzing player ran out of time — their partial pick is dropped and they're locked out. */
+function onBuzzTimeout() {
+  buzzTimerHandle = null;
+  const seat = buzzedSeat;
+  if (!seat) return;
+  clearSelection();
+  endBuzz();
+  lockOut(seat, `Time's up — ${seat.name} is locked out until the next Set.`);
+}
+
+/** Close the buzz window, if open. */
+function endBuzz() {
+  if (buzzTimerHandle !== null) {
+    clearTimeout(buzzTimerHandle);
+    buzzTimerHandle = null;
+  }
+  buzzDeadline = 0;
+  buzzPauseRemaining = 0;
+  if (buzzedSeat) buzzedSeat.cardEl.classList.remove('buzzing');
+  buzzedSeat = null;
+  boardEl.classList.remove('buzz-active');
+}
+
+/**
+ * Lock a player out until the next Set is found. If that leaves nobody able
+ * to buzz, everyone is let back in so the game can't stall.
+ * @param {Object} seat
+ * @param {string} message  Toast text
+ */
+function lockOut(seat, message) {
+  seat.lockedOut = true;
+  seat.cardEl.classList.add('locked-out');
+  seat.buzzBtn.disabled = true;
+  if (seats.every(s => s.lockedOut)) {
+    clearLockouts();
+    showToast('Everyone is locked out — all players may buzz again.', 2800);
+  } else {
+    showToast(message, 2400);
+  }
+}
+
+function clearLockouts() {
+  for (const seat of seats) {
+    seat.lockedOut = false;
+    seat.cardEl.classList.remove('locked-out');
+    if (seat.buzzBtn) seat.buzzBtn.disabled = false;
+  }
+}
+
+/**
+ * Standings of the seated players (Hot Seat, Online), best first. Tied players share a rank.
+ * @returns {Array<{ seat: Object, score: number, rank: number }>}
+ */
+function seatRankings() {
+  const ranked = seats
+    .map(seat => ({ seat, score: game.scoreOf(seat.id) }))
+    .sort((a, b) => b.score - a.score);
+  ranked.forEach((entry, i) => {
+    entry.rank = i > 0 && entry.score === ranked[i - 1].score ? ranked[i - 1].rank : i + 1;
+  });
+  return ranked;
+}
+
+// ── Online Rooms ──────────────────────────────────────────────
+/** Show the online modal: the join form, or the lobby once in a room. */
+function showOnlineModal() {
+  modalMode.classList.add('hidden');
+  modalOverlay.classList.add('hidden');
+  if (!onlineNameInput.value) onlineNameInput.value = currentUser?.displayName ?? '';
+  if (!onlineServerInput.value) onlineServerInput.value = defaultRoomServer(window.location);
+  onlineJoinForm.classList.toggle('hidden', room !== null);
+  onlineLobbyEl.classList.toggle('hidden', room === null);
+  setOnlineStatus('');
+  modalOnline.classList.remove('hidden');
+}
+
+/** Connect to the room server and join (or, with no code, create) a room. */
+function joinRoom() {
+  leaveRoom();
+  const name = onlineNameInput.value.trim() || 'Player';
+  const r = connectRoom({
+    server: onlineServerInput.value.trim() || defaultRoomServer(window.location),
+    room:   onlineRoomInput.value.trim(),
+    name,
+    isBusy: () => busy,
+  });
+  room = r;
+  let joined = false;
+  setOnlineStatus('Connecting…');
+
+  r.on('joined', ({ room: code }) => {
+    joined = true;
+    onlineRoomInput.value = code;
+    onlineRoomCodeEl.textContent = code;
+    setOnlineStatus('');
+    showOnlineModal();
+  });
+  r.on('lobby', renderLobby);
+  r.on('started', remoteGame => {
+    gameMode   = MODE_ONLINE;
+    onlineGame = remoteGame;
+    startGame();
+  });
+  r.on('error', ({ message }) => {
+    if (!joined) leaveRoom(); // the server turned the join down
+    if (!modalOnline.classList.contains('hidden')) setOnlineStatus(message);
+    else showToast(message, 2400);
+  });
+  r.on('closed', () => {
+    if (room !== r) return; // left on purpose, or replaced by a newer connection
+    room = null;
+    if (!joined) {
+      setOnlineStatus('Couldn\'t reach the room server — is it running?');
+      return;
+    }
+    if (gameMode === MODE_ONLINE && !game.state.over) game.disconnect(); // ends it with gameOver
+    if (!modalOnline.classList.contains('hidden')) showOnlineModal();
+  });
+}
+
+/** Disconnect from the current room, if any. */
+function leaveRoom() {
+  if (!room) return;
+  const r = room;
+  room = null;
+  r.close();
+}
+
+/**
+ * Show who is in the room; only the host can start a game.
+ * @param {{ room: string, hostId: string, playing: boolean, players: Object[] }} lobby
+ */
+function renderLobby({ room: code, hostId, playing, players }) {
+  onlineRoomCodeEl.textContent = code;
+  onlinePlayersEl.innerHTML = '';
+  for (const player of players) {
+    const li = document.createElement('li');
+    li.className = 'online-player';
+    li.textContent = player.name
+      + (player.id === room.playerId ? ' (you)' : '')
+      + (player.id === hostId ? ' — host' : '');
+    onlinePlayersEl.appendChild(li);
+  }
+  const isHost = room.playerId === hostId;
+  btnOnlineStart.classList.toggle('hidden', !isHost);
+  btnOnlineStart.disabled = playing;
+  onlineWaitingEl.classList.toggle('hidden', isHost);
+  onlineWaitingEl.textContent = playing ? 'A game is in progress…' : 'Waiting for the host to start…';
+}
+
+/** Copy a link that opens this page ready to join the current room. */
+async function copyRoomLink() {
+  const url = new URL(window.location.pathname, window.location.origin);
+  url.searchParams.set('room', room.code);
+  const server = onlineServerInput.value.trim();
+  if (server && server !== defaultRoomServer(window.location)) url.searchParams.set('server', server);
+  try {
+    await navigator.clipboard.writeText(url.href);
+    setOnlineStatus('Link copied — send it to the other players.');
+  } catch {
+    setOnlineStatus(`Share this link: ${url.href}`);
+  }
+}
+
+/** @param {string} message  Status line under the online form; '' hides it */
+function setOnlineStatus(message) {
+  onlineStatusEl.textContent = message;
+  onlineStatusEl.classList.toggle('hidden', !message);
 }
 
 // ── Toast ─────────────────────────────────────────────────────
 let toastContainer = null;
 
 /**
- * Display a brief toast message at the bottom of the screen.
+ * Display a brief toast message at the bottom of the screen, and read it out
+ * to screen readers.
  * @param {string} message
  * @param {number} duration  ms before the toast fades out
+ * @param {Object}  [speech]
+ * @param {string}  [speech.spoken]     What screen readers hear instead, e.g. with the cards named
+ * @param {boolean} [speech.assertive]  Interrupt whatever is being read
  */
-function showToast(message, duration = 2800) {
+function showToast(message, duration = 2800, { spoken = message, assertive = false } = {}) {
+  announcer.announce(spoken, { assertive });
   if (!toastContainer) {
     toastContainer = document.createElement('div');
     toastContainer.id = 'toast-container';
@@ -521,8 +1098,12 @@ function showHint() {
 
   if (hintStep === 0) {
     // Choose a Set to hint at
-    const sets = findAllSets(board);
-    if (sets.length === 0) return;
+    const board = game.state.board;
+    const sets  = findAllSets(board);
+    if (sets.length === 0) {
+      if (noSetActive) showToast('There\'s no Set here — call No Set!');
+      return;
+    }
     const [a, b, c] = sets[0];
     hintSetIndices = [board.indexOf(a), board.indexOf(b), board.indexOf(c)];
   }
@@ -530,15 +1111,19 @@ function showHint() {
   if (hintStep < 3) {
     const idx = hintSetIndices[hintStep];
     boardEl.children[idx]?.classList.add('hint');
+    gameLog.add('hint', { index: idx });
     hintStep++;
     hintsUsed++;
+    saveProgress();
 
     const remaining = 3 - hintStep;
-    showToast(remaining > 0
+    const message   = remaining > 0
       ? `${remaining} ${pluralize(remaining, 'card')} still hidden — click Hint again`
-      : 'All three cards of the Set are highlighted.');
+      : 'All three cards of the Set are highlighted.';
+    showToast(message, 2800, { spoken: `Hint: ${boardView.describe([idx])[0]}. ${message}` });
   } else {
-    showToast('All three cards of the Set are highlighted.');
+    showToast('All three cards of the Set are highlighted.', 2800,
+      { spoken: `The Set: ${boardView.describe(hintSetIndices).join('; ')}.` });
   }
 }
 
@@ -552,12 +1137,23 @@ function resetHint() {
 }
 
 // ── Computer AI ──────────────────────────────────────────────
+/**
+ * Plan the computer's next claim on the current board (computer.js) and
+ * schedule it. Its delay depends on the board and the difficulty profile.
+ * Under the "No Set" rule, a board without a Set gets a "No Set!" call instead.
+ */
 function scheduleComputerMove() {
   clearComputerTimer();
-  const [min, max] = DIFFICULTY_RANGES[difficulty];
-  const delay = min + Math.random() * (max - min);
-  computerTimerDeadline = Date.now() + delay;
-  computerTimerHandle = setTimeout(computerTakesSet, delay);
+  const board   = game.state.board;
+  const profile = adaptive ? profileForLevel(adaptive.level) : COMPUTER_PROFILES[difficulty];
+  const plan    = noSetActive && !findAllSets(board).length
+    ? { ...planNoSetCall(board, profile), indices: [] }
+    : planComputerMove(board, profile);
+  if (!plan) return; // no Set — ensureSetOnBoard deals more, then reschedules
+  computerPlanCards = plan.indices.map(i => board[i]);
+  computerTimerDeadline = Date.now() + plan.delayMs;
+  computerTimerHandle = setTimeout(computerTakesSet, plan.delayMs);
+  saveProgress();
 }
 
 function clearComputerTimer() {
@@ -575,50 +1171,83 @@ function computerTakesSet() {
     return;
   }
 
-  const sets = findAllSets(board);
-  if (sets.length === 0) return; // checkGameOver handles the no-set case
-
-  busy = true;
-
-  // Clear any partial player selection
-  selected.forEach(i => boardEl.children[i]?.classList.remove('selected'));
-  selected = [];
-  resetHint();
-
-  const [a, b, c] = sets[0];
-  const indices = [board.indexOf(a), board.indexOf(b), board.indexOf(c)];
-  const els = indices.map(i => boardEl.children[i]);
+  if (!computerPlanCards) return;
+  const indices = computerPlanCards.map(card => game.state.board.indexOf(card));
+  if (indices.includes(-1)) {
+    scheduleComputerMove(); // the board changed under the plan — look again
+    return;
+  }
 
-  lastSetTime = Date.now();
+  computerTimerHandle   = null;
+  computerTimerDeadline = 0;
+  computerPlanCards     = null;
+  clearSelection();
+  if (indices.length > 0) game.claimSet(indices, COMPUTER);
+  else if (game.callNoSet(COMPUTER)) afterNoSetDeal();
+}
 
-  showToast('Computer found a Set!', 2200);
-  computerScore++;
-  updateScoreDisplay();
+// ── Adaptive Difficulty ──────────────────────────────────────
+/**
+ * Start an adaptive vs Computer game: fit the player's rating to their
+ * recent games (signed in) and set the computer's starting level for the
+ * chosen win rate. Guests start from the default rating.
+ */
+async function startAdaptiveGame() {
+  const target = Number(adaptiveTargetEl.value);
+  btnAdaptive.disabled = true;
+  adaptiveNoteEl.textContent = currentUser ? 'Reading your recent games…' : '';
+  let games = [];
+  if (currentUser) {
+    try {
+      games = await getGames(currentUser.uid);
+    } catch {
+      // history unavailable — calibrate from the default rating
+    }
+  }
+  btnAdaptive.disabled = false;
+  adaptiveNoteEl.textContent = '';
+
+  const { rating, level, baselineMs } = calibrate(games, target);
+  adaptive   = { target, rating, startLevel: level, baselineMs, level, levelSum: 0, levelCount: 0 };
+  gameMode   = MODE_VS_COMPUTER;
+  difficulty = 'adaptive';
+  setPref('difficulty', difficulty);
+  startGame();
+  showToast(`Your rating: ${rating.toFixed(1)} — the computer starts at ${describeLevel(level)}.`, 3200);
+}
 
-  flyCardsToScore(els, scoreComputerCardEl, () => {
-    replaceOrRemoveCards(indices);
-    updateStatus();
+/** After each of the player's Sets: move the computer's level with the player's pace. */
+function adaptToPace() {
+  adaptive.level = matchLevel(adaptive.startLevel, adaptive.baselineMs, playerSetTimes);
+  renderDifficultyLabel();
+}
 
-    ensureSetOnBoard(() => {
-      busy = false;
-      updateStatus();
-      if (!checkGameOver() && !paused) scheduleComputerMove();
-    });
-  });
+/** The computer's score card names its difficulty — for adaptive games, the current level. */
+function renderDifficultyLabel() {
+  document.getElementById('computer-difficulty').textContent =
+    gameMode !== MODE_VS_COMPUTER ? ''
+    : adaptive ? `adaptive · ${adaptive.level.toFixed(1)}`
+    : difficulty;
 }
 
-// ── Game Over ────────────────────────────────────────────────
 /**
- * Check if the game is over. Returns true if so (and triggers end-game UI).
- * @returns {boolean}
+ * Where on the difficulty scale (0 = easy … 3 = genius) this game was played:
+ * the average adaptive level over its Sets, or the fixed difficulty's place.
+ * @returns {number}
  */
-function checkGameOver() {
-  if (deck.length === 0 && !hasSet(board)) {
-    clearComputerTimer();
-    showGameOver();
-    return true;
-  }
-  return false;
+function playedLevel() {
+  if (!adaptive) return DIFFICULTY_LEVELS.indexOf(difficulty);
+  return adaptive.levelCount ? adaptive.levelSum / adaptive.levelCount : adaptive.level;
+}
+
+// ── Game Over ────────────────────────────────────────────────
+/** Engine 'gameOver' — fired by game.checkGameOver() once the deck and board are exhausted. */
+/** @param {{ disconnected?: boolean }} payload  disconnected: an online game cut short (room-client.js) */
+function onGameOver({ disconnected = false } = {}) {
+  clearComputerTimer();
+  endBuzz();
+  clearSavedGame();
+  showGameOver({ disconnected });
 }
 
 /** Append a labeled score row to a container element. */
@@ -629,6 +1258,41 @@ function appendScoreRow(container, label, value) {
   container.appendChild(row);
 }
 
+/**
+ * Sets a claimant found. Scores are points — a correct "No Set!" call is
+ * worth NO_SET_BONUS — but Set counts and rates leave the calls out.
+ * @param {string} claimant
+ * @returns {number}
+ */
+function setsOf(claimant) {
+  return game.scoreOf(claimant) - NO_SET_BONUS * game.noSetCallsOf(claimant);
+}
+
+/**
+ * A claimant's final score for the game-over modal: "7 Sets", or under the
+ * "No Set" rule "7 Sets + 2 No Set calls" when they made correct calls.
+ * @param {string} claimant
+ * @returns {string}
+ */
+function describeScore(claimant) {
+  const calls = game.noSetCallsOf(claimant);
+  const sets  = setsOf(claimant);
+  const text  = `${sets} ${pluralize(sets, 'Set')}`;
+  return calls > 0 ? `${text} + ${calls} No Set ${pluralize(calls, 'call')}` : text;
+}
+
+/**
+ * Append a row showing the deck seed, linked to a page URL that replays the same deal.
+ * @param {HTMLElement} container
+ * @param {number}      seed
+ */
+function appendSeedRow(container, seed) {
+  const row = document.createElement('div');
+  row.className = 'final-score-row';
+  row.innerHTML = `<span class="winner-label">Seed</span><a class="seed-link" href="play.html?seed=${seed}">${seed}</a>`;
+  container.appendChild(row);
+}
+
 /**
  * Append the set-times breakdown section (label, scrollable per-set list,
  * avg and fastest summary rows) to a container. No-ops if times is empty.
@@ -660,45 +1324,213 @@ function appendSetTimesSection(container, times, label = 'Set Times') {
   appendScoreRow(container, 'Fastest',   formatTime(fastestMs));
 }
 
+/**
+ * Append the collapsible round-by-round analysis (analysis.js) of the game
+ * just finished: average times by Sets available and by Set type, then every
+ * claim with its board, the Set taken and the Sets left on the board.
+ * @param {HTMLElement} container
+ */
+function appendAnalysisSection(container) {
+  const rounds = analyzeRounds(gameLog.entries, { puzzle: gameMode === MODE_DAILY });
+  if (rounds.length === 0) return;
+
+  // Hot Seat players share the device, so everyone's rounds count as "yours"
+  const isMine  = by => (gameMode === MODE_HOT_SEAT ? seatById(by) !== undefined : by === localPlayerId());
+  const whose   = gameMode === MODE_HOT_SEAT ? 'Time' : 'Your time';
+  const summary = summarizeRounds(rounds, isMine);
+
+  const details = document.createElement('details');
+  details.className = 'analysis';
+  details.innerHTML = '<summary>Round-by-round analysis</summary>';
+
+  if (summary.bySetCount.length > 0) {
+    appendSectionLabel(details, `${whose} by Sets available`);
+    for (const { sets, orMore, rounds: n, avgMs } of summary.bySetCount) {
+      appendScoreRow(details, `${sets}${orMore ? '+' : ''} ${pluralize(sets, 'Set')}`,
+        `${formatSeconds(avgMs)} avg · ${n} ${pluralize(n, 'round')}`);
+    }
+    appendSectionLabel(details, `${whose} by Set type`);
+    for (const { differing, rounds: n, avgMs } of summary.byDiffering) {
+      const label = differing === 4 ? 'All different' : `${differing} ${pluralize(differing, 'feature')} different`;
+      appendScoreRow(details, label, `${formatSeconds(avgMs)} avg · ${n} ${pluralize(n, 'round')}`);
+    }
+  }
+
+  const list = document.createElement('div');
+  list.className = 'analysis-rounds';
+  for (const round of rounds) list.appendChild(createRoundEl(round));
+  details.appendChild(list);
+  container.appendChild(details);
+}
+
+/**
+ * One round of the analysis: who claimed, how fast, the board with the
+ * taken Set marked, and the Sets nobody took, folded away.
+ * @param {Object} round  From analyzeRounds()
+ * @returns {HTMLElement}
+ */
+function createRoundEl(round) {
+  const el = document.createElement('div');
+  el.className = 'analysis-round';
+
+  const title = document.createElement('p');
+  title.className = 'analysis-round-title';
+  title.textContent = `Round ${round.number} · ${claimantName(round.by)} · ${formatSeconds(round.timeMs)}`;
+  el.appendChild(title);
+
+  const meta = document.createElement('p');
+  meta.className = 'analysis-round-meta';
+  meta.textContent = `${round.sets.length} ${pluralize(round.sets.length, 'Set')} available · `
+    + (round.differing === 4 ? 'all features different' : `${round.differing} ${pluralize(round.differing, 'feature')} different`);
+  el.appendChild(meta);
+
+  const board = document.createElement('div');
+  board.className = 'set-result-cards analysis-board';
+  for (const card of round.board) {
+    const cardEl = createCardEl(card);
+    cardEl.classList.toggle('analysis-taken', round.taken.includes(card));
+    board.appendChild(cardEl);
+  }
+  el.appendChild(board);
+
+  if (round.missed.length > 0) {
+    const missed = document.createElement('details');
+    missed.className = 'analysis-missed';
+    const label = document.createElement('summary');
+    label.textContent = `${round.missed.length} other ${pluralize(round.missed.length, 'Set')} on the board`;
+    missed.appendChild(label);
+    const setsEl = document.createElement('div');
+    setsEl.className = 'sets-result-list';
+    renderSetList(round.missed, setsEl);
+    missed.appendChild(setsEl);
+    el.appendChild(missed);
+  }
+  return el;
+}
+
+/**
+ * Display name for a claimant in the analysis.
+ * @param {string} by
+ * @returns {string}
+ */
+function claimantName(by) {
+  if (by === localPlayerId()) return 'You';
+  if (by === COMPUTER) return 'Computer';
+  return seatById(by)?.name ?? by;
+}
+
+/** @param {HTMLElement} container @param {string} text */
+function appendSectionLabel(container, text) {
+  const labelEl = document.createElement('p');
+  labelEl.className = 'set-times-label';
+  labelEl.textContent = text;
+  container.appendChild(labelEl);
+}
+
+/** @param {number} ms @returns {string} e.g. "8.2s" */
+function formatSeconds(ms) {
+  return `${(ms / 1000).toFixed(1)}s`;
+}
+
 /**
  * Build the Firestore game record from current game state.
  * Pure data construction — no side effects.
  * @returns {Object}
  */
 function buildGameRecord() {
-  const durationMs = Date.now() - timerStart;
+  const durationMs    = Date.now() - timerStart;
+  const me            = localPlayerId();
+  const score         = game.scoreOf(me);
+  const computerScore = game.scoreOf(COMPUTER);
+  const rankings      = seats.length ? seatRankings() : [];
   return {
     uid:            currentUser?.uid ?? null,
     gameMode,
     difficulty:     gameMode === MODE_VS_COMPUTER ? difficulty : null,
-    durationMs,
-    playerSets:     score,
-    computerSets:   gameMode === MODE_VS_COMPUTER ? computerScore : null,
-    outcome:        gameMode === MODE_VS_COMPUTER
-                      ? (score > computerScore ? 'win' : score < computerScore ? 'loss' : 'tie')
+    // The computer's place on the difficulty scale, read back by adaptive.js calibrate()
+    computerLevel:  gameMode === MODE_VS_COMPUTER ? playedLevel() : null,
+    adaptiveRating: adaptive ? adaptive.rating : null,
+    adaptiveTarget: adaptive ? adaptive.target : null,
+    seed:           gameSeed,
+    puzzleDate:     gameMode === MODE_DAILY ? puzzleDate : null,
+    roomCode:       gameMode === MODE_ONLINE ? room.code : null,
+    blitzMinutes:   gameMode === MODE_BLITZ ? blitzMinutes : null,
+    blitzScore:     gameMode === MODE_BLITZ
+                      ? blitzScore(score, game.mistakesOf(PLAYER), blitzDurationMs())
                       : null,
+    durationMs,
+    // Hot Seat: every player's Sets together (per-player results are in players)
+    playerSets:     gameMode === MODE_HOT_SEAT
+                      ? seats.reduce((sum, seat) => sum + setsOf(seat.id), 0)
+                      : setsOf(me),
+    computerSets:   gameMode === MODE_VS_COMPUTER ? setsOf(COMPUTER) : null,
+    outcome:        gameMode === MODE_VS_COMPUTER ? (score > computerScore ? 'win' : score < computerScore ? 'loss' : 'tie')
+                  : gameMode === MODE_ONLINE      ? onlineOutcome(rankings, me)
+                  : null,
     hintsUsed,
-    mistakeCount,
-    extraCardsDealt,
+    mistakeCount:    game.mistakesOf(me),
+    computerMistakes: gameMode === MODE_VS_COMPUTER ? game.mistakesOf(COMPUTER) : null,
+    players:        rankings.length
+                      ? rankings.map(({ seat, rank }) => ({
+                          id: seat.id, name: seat.name, sets: setsOf(seat.id), rank,
+                          mistakes: game.mistakesOf(seat.id),
+                          noSetCalls: game.noSetCallsOf(seat.id),
+                          setTimesMs: [...seat.setTimes],
+                          setPatterns: [...seat.setPatterns],
+                        }))
+                      : null,
+    extraCardsDealt: game.state.extraCardsDealt,
+    noSetRule:      noSetActive,
+    // Hot Seat: every player's calls together, as for playerSets
+    noSetCalls:     !noSetActive ? null
+                  : gameMode === MODE_HOT_SEAT ? seats.reduce((sum, seat) => sum + game.noSetCallsOf(seat.id), 0)
+                  : game.noSetCallsOf(me),
+    computerNoSetCalls: noSetActive && gameMode === MODE_VS_COMPUTER ? game.noSetCallsOf(COMPUTER) : null,
     setTimesMs:     [...playerSetTimes],
+    setPatterns:    [...playerSetPatterns], // setPattern() of each Set in setTimesMs
     avgSetTimeMs:   playerSetTimes.length
                       ? Math.round(playerSetTimes.reduce((a, b) => a + b, 0) / playerSetTimes.length)
                       : null,
     fastestSetMs:   playerSetTimes.length ? Math.min(...playerSetTimes) : null,
     slowestSetMs:   playerSetTimes.length ? Math.max(...playerSetTimes) : null,
+    eventLog:       gameLog.entries,
   };
 }
 
-function showGameOver() {
+/**
+ * This player's result in an online room: a win only when alone in first place.
+ * @param {Array<{ seat: Object, rank: number }>} rankings  From seatRankings()
+ * @param {string} me  This client's player id
+ * @returns {'win'|'tie'|'loss'}
+ */
+function onlineOutcome(rankings, me) {
+  const leaders = rankings.filter(entry => entry.rank === 1);
+  if (!leaders.some(entry => entry.seat.id === me)) return 'loss';
+  return leaders.length > 1 ? 'tie' : 'win';
+}
+
+/** Claimant whose score counts as "yours" on this device. */
+function localPlayerId() {
+  return gameMode === MODE_ONLINE ? game.playerId : PLAYER;
+}
+
+/**
+ * The game-over modal, and the game record saved (or held for sign-in).
+ * @param {Object}  [options]
+ * @param {boolean} [options.disconnected]  An online game cut short: shown as it stood, not saved
+ */
+function showGameOver({ disconnected = false } = {}) {
   stopTimer();
 
   // ── Persist game record to Firestore ────────────────────────────────────
-  const gameRecord = buildGameRecord();
+  const gameRecord = disconnected ? null : buildGameRecord();
 
   const nudgeEl = document.getElementById('modal-save-nudge');
   nudgeEl.innerHTML = '';
 
-  if (currentUser) {
+  if (disconnected) {
+    pendingGameRecord = null; // unfinished — nothing to save
+  } else if (currentUser) {
     pendingGameRecord = null;
     saveGame(gameRecord)
       .then(() => {
@@ -721,20 +1553,71 @@ function showGameOver() {
 
   modalScores.innerHTML = '';
 
-  if (gameMode === MODE_VS_COMPUTER) {
+  const score         = game.scoreOf(localPlayerId());
+  const computerScore = game.scoreOf(COMPUTER);
+  const mistakeCount  = game.mistakesOf(localPlayerId());
+
+  modalSubtitleEl.textContent = disconnected          ? 'Disconnected from the room — the game ended early.'
+                              : gameMode === MODE_DAILY ? `You found all ${game.state.totalSets} Sets in today's puzzle.`
+                              : gameMode === MODE_BLITZ ? 'Time\'s up!'
+                              : 'The deck is empty and no Sets remain.';
+
+  if (gameMode === MODE_DAILY) {
+    appendScoreRow(modalScores, 'Puzzle',   puzzleDate);
+    appendScoreRow(modalScores, 'Sets',     `${score} of ${game.state.totalSets}`);
+    appendScoreRow(modalScores, 'Time',     finalTimeStr);
+    appendScoreRow(modalScores, 'Mistakes', mistakeCount.toString());
+
+    appendSetTimesSection(modalScores, playerSetTimes);
+  } else if (gameMode === MODE_BLITZ) {
+    const finalScore = blitzScore(score, mistakeCount, blitzDurationMs());
+    appendScoreRow(modalScores, 'Blitz',      `${blitzMinutes} min`);
+    appendScoreRow(modalScores, 'Sets',       describeScore(PLAYER));
+    appendScoreRow(modalScores, 'Mistakes',   mistakeCount.toString());
+    appendScoreRow(modalScores, 'Sets / min', (setsOf(PLAYER) / blitzMinutes).toFixed(2));
+    appendScoreRow(modalScores, 'Score',      finalScore.toFixed(2));
+
+    appendSetTimesSection(modalScores, playerSetTimes);
+  } else if (gameMode === MODE_HOT_SEAT || gameMode === MODE_ONLINE) {
+    const rankings = seatRankings();
+    const winners  = rankings.filter(entry => entry.rank === 1);
+    const resultText = disconnected ? 'Disconnected'
+      : winners.length > 1 ? `Tie: ${winners.map(entry => entry.seat.name).join(' & ')}`
+      : `${winners[0].seat.name} wins!`;
+
+    // The room is already gone after a disconnect; the lobby still shows its code.
+    if (gameMode === MODE_ONLINE) appendScoreRow(modalScores, 'Room', onlineRoomCodeEl.textContent);
+    appendScoreRow(modalScores, 'Result', escapeHtml(resultText));
+    for (const { seat, rank } of rankings) {
+      const mistakes = game.mistakesOf(seat.id);
+      appendScoreRow(modalScores, `${ordinal(rank)} · ${escapeHtml(seat.name)}`,
+        `${describeScore(seat.id)} · ${mistakes} ${pluralize(mistakes, 'mistake')}`);
+    }
+    appendScoreRow(modalScores, 'Time', finalTimeStr);
+
+    for (const seat of seats) {
+      appendSetTimesSection(modalScores, seat.setTimes, `${seat.name} — Set Times`);
+    }
+  } else if (gameMode === MODE_VS_COMPUTER) {
     const resultText = score > computerScore ? 'You win!'
                      : score < computerScore ? 'Computer wins!'
                      : "It's a tie!";
 
     appendScoreRow(modalScores, 'Result',   resultText);
-    appendScoreRow(modalScores, 'Player 1', `${score} ${pluralize(score, 'Set')}`);
-    appendScoreRow(modalScores, 'Computer', `${computerScore} ${pluralize(computerScore, 'Set')}`);
+    appendScoreRow(modalScores, 'Player 1', describeScore(PLAYER));
+    appendScoreRow(modalScores, 'Computer', describeScore(COMPUTER));
     appendScoreRow(modalScores, 'Time',     finalTimeStr);
     appendScoreRow(modalScores, 'Mistakes', mistakeCount.toString());
+    appendScoreRow(modalScores, 'Computer Mistakes', game.mistakesOf(COMPUTER).toString());
+    if (adaptive) {
+      appendScoreRow(modalScores, 'Your Rating', `${adaptive.rating.toFixed(1)} (${describeLevel(adaptive.rating)})`);
+      appendScoreRow(modalScores, 'Computer Level',
+        `${adaptive.startLevel.toFixed(1)} → ${adaptive.level.toFixed(1)} · target ${Math.round(adaptive.target * 100)}% wins`);
+    }
 
     appendSetTimesSection(modalScores, playerSetTimes, 'Your Set Times');
   } else {
-    appendScoreRow(modalScores, 'Player 1', `${score} ${pluralize(score, 'Set')}`);
+    appendScoreRow(modalScores, 'Player 1', describeScore(PLAYER));
     appendScoreRow(modalScores, 'Time',     finalTimeStr);
     appendScoreRow(modalScores, 'Hints',    hintsUsed.toString());
     appendScoreRow(modalScores, 'Mistakes', mistakeCount.toString());
@@ -742,23 +1625,40 @@ function showGameOver() {
     appendSetTimesSection(modalScores, playerSetTimes);
   }
 
+  appendAnalysisSection(modalScores);
+  if (gameMode !== MODE_DAILY) appendSeedRow(modalScores, gameSeed);
+
   modalOverlay.classList.remove('hidden');
+  playCue('gameOver');
+  btnPlayAgain.focus();
+  announcer.announce(`Game over. ${modalSubtitleEl.textContent}`);
 }
 
 // ── UI Updates ────────────────────────────────────────────────
 function updateScoreDisplay() {
-  scoreP1El.textContent = score;
+  scoreP1El.textContent = game.scoreOf(PLAYER);
+  for (const seat of seats) seat.scoreEl.textContent = game.scoreOf(seat.id);
   if (gameMode === MODE_VS_COMPUTER) {
-    scoreComputerEl.textContent = computerScore;
+    scoreComputerEl.textContent = game.scoreOf(COMPUTER);
   }
 }
 
 function updateStatus() {
-  const remaining = deck.length;
-  const setCount  = findAllSets(board).length;
+  if (gameMode === MODE_DAILY) {
+    const found = game.state.found.length;
+    statusEl.textContent = `${found} of ${game.state.totalSets} Sets found`;
+    return;
+  }
+  const remaining = game.state.deck.length;
+  const setCount  = findAllSets(game.state.board).length;
   statusEl.textContent = `${remaining} ${pluralize(remaining, 'card')} left · ${setCount} ${pluralize(setCount, 'set')} present`;
 }
 
+/** The status line as read out: "81 cards left, 4 sets present". */
+function spokenStatus() {
+  return statusEl.textContent.replace(' · ', ', ');
+}
+
 // ── Timer ─────────────────────────────────────────────────────
 function formatTime(ms) {
   const totalSec = Math.floor(ms / 1000);
@@ -767,24 +1667,63 @@ function formatTime(ms) {
   return `${m}:${s.toString().padStart(2, '0')}`;
 }
 
+/** Countdown length of the current Blitz game in ms (0 in untimed modes). */
+function blitzDurationMs() {
+  return gameMode === MODE_BLITZ ? blitzMinutes * 60000 : 0;
+}
+
+/**
+ * Refresh the timer display: time elapsed, or in Blitz the time remaining
+ * (rounded up, so 0:00 only shows once time has run out). Ends a Blitz game
+ * when its countdown reaches zero.
+ */
+function renderTimer() {
+  const elapsed = Date.now() - timerStart;
+  if (gameMode !== MODE_BLITZ) {
+    timerDisplayEl.textContent = formatTime(elapsed);
+    return;
+  }
+  const remaining = Math.max(0, blitzDurationMs() - elapsed);
+  timerDisplayEl.textContent = formatTime(Math.ceil(remaining / 1000) * 1000);
+  if (remaining > 0 && remaining <= TIME_WARNINGS_MS[nextTimeWarning]) {
+    // Read out the latest warning passed; a resumed game may have skipped some
+    while (remaining <= TIME_WARNINGS_MS[nextTimeWarning + 1]) nextTimeWarning++;
+    nextTimeWarning++;
+    const seconds = Math.ceil(remaining / 1000);
+    announcer.announce(`${seconds} ${pluralize(seconds, 'second')} left.`, { assertive: seconds <= 10 });
+  }
+  if (remaining === 0) game.endGame();
+}
+
 function startTimerInterval() {
-  timerInterval = setInterval(() => {
-    timerDisplayEl.textContent = formatTime(Date.now() - timerStart);
-  }, 1000);
+  timerInterval = setInterval(renderTimer, gameMode === MODE_BLITZ ? BLITZ_TICK_MS : 1000);
+}
+
+/** Current game time in ms — stands still while paused. */
+function gameClock() {
+  return paused ? pausedElapsed : Date.now() - timerStart;
 }
 
 function startTimer() {
   clearInterval(timerInterval);
   timerStart = Date.now();
   lastSetTime = timerStart;
+  nextTimeWarning = 0;
   playerSetTimes = [];
-  timerDisplayEl.textContent = '0:00';
+  playerSetPatterns = [];
+  renderTimer();
   startTimerInterval();
 }
 
 function stopTimer() {
-  finalTimeStr = formatTime(Date.now() - timerStart);
-  timerDisplayEl.textContent = finalTimeStr;
+  const elapsed = Date.now() - timerStart;
+  if (gameMode === MODE_BLITZ) {
+    // The countdown display already reads 0:00; report the full time played.
+    finalTimeStr = formatTime(Math.min(elapsed, blitzDurationMs()));
+  } else {
+    finalTimeStr = formatTime(elapsed);
+    timerDisplayEl.textContent = finalTimeStr;
+  }
   clearInterval(timerInterval);
   timerInterval = null;
 }
@@ -805,15 +1744,29 @@ function pauseGame() {
     clearComputerTimer();
   }
 
+  // Freeze the buzz window
+  if (buzzTimerHandle !== null) {
+    buzzPauseRemaining = Math.max(0, buzzDeadline - Date.now());
+    clearTimeout(buzzTimerHandle);
+    buzzTimerHandle = null;
+    buzzedSeat.cardEl.querySelector('.buzz-bar').style.animationPlayState = 'paused';
+  }
+
   pauseOverlay.classList.remove('hidden');
+  btnResume.focus();
+  announcer.announce('Paused. Press B to resume.');
+  saveProgress();
 }
 
 function resumeGame() {
   if (!paused) return;
   paused = false;
 
-  // Resume the timer from where it left off
-  timerStart = Date.now() - pausedElapsed;
+  // Resume the timer from where it left off; time spent paused doesn't count
+  // towards the current Set either
+  const pausedFor = Date.now() - pausedElapsed - timerStart;
+  timerStart  += pausedFor;
+  lastSetTime += pausedFor;
   startTimerInterval();
 
   // Reschedule the computer with its remaining time
@@ -823,13 +1776,251 @@ function resumeGame() {
     computerPauseRemaining = 0;
   }
 
+  // Give the buzzing player the rest of their window
+  if (buzzedSeat && buzzPauseRemaining > 0) {
+    startBuzzTimer(buzzPauseRemaining);
+    buzzPauseRemaining = 0;
+  }
+
   pauseOverlay.classList.add('hidden');
+  announcer.announce('Resumed.');
+  if (document.activeElement === document.body) boardView.focusCard(0);
+}
+
+// ── Saved Game ────────────────────────────────────────────────
+/**
+ * Write the game in progress to localStorage: the engine snapshot plus the
+ * page's own clocks and counters. Online games live on the room server and
+ * finished games have nothing to resume, so neither is saved.
+ */
+function saveProgress() {
+  if (!game || game.state.over || gameMode === MODE_ONLINE) return;
+  const now = Date.now();
+  const computerRemainingMs = paused ? computerPauseRemaining
+                            : computerTimerDeadline > 0 ? Math.max(0, computerTimerDeadline - now)
+                            : 0;
+  const saved = {
+    version:        SAVE_VERSION,
+    savedAt:        now,
+    gameMode,
+    difficulty,
+    blitzMinutes,
+    puzzleDate,
+    gameSeed,
+    engine:         game.snapshot(),
+    elapsedMs:      paused ? pausedElapsed : now - timerStart,
+    lastSetAtMs:    lastSetTime - timerStart, // elapsed time of the last Set
+    playerSetTimes,
+    playerSetPatterns,
+    hintsUsed,
+    computerRemainingMs,
+    computerPlan:   computerPlanCards ? computerPlanCards.map(formatCard) : null,
+    adaptive,
+    seats:          seats.map(({ id, name, key, setTimes, setPatterns }) => ({ id, name, key, setTimes, setPatterns })),
+    log:            gameLog.entries,
+  };
+  try {
+    localStorage.setItem(SAVE_STORAGE_KEY, JSON.stringify(saved));
+  } catch {
+    // storage blocked or full — the game just won't survive a reload
+  }
+}
+
+/**
+ * The unfinished game saved by an earlier page load, if any.
+ * @returns {Object|null}
+ */
+function readSavedGame() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SAVE_STORAGE_KEY));
+    return saved?.version === SAVE_VERSION ? saved : null;
+  } catch {
+    return null; // storage blocked or unreadable
+  }
+}
+
+function clearSavedGame() {
+  try {
+    localStorage.removeItem(SAVE_STORAGE_KEY);
+  } catch {
+    // storage blocked — nothing was saved
+  }
+}
+
+/**
+ * Bring back the page state of a saved game whose board startGame() has
+ * just re-dealt. The game comes back as if paused at the moment it was
+ * saved, then resumes — so the clock and the computer's countdown carry on
+ * through the usual pause machinery.
+ * @param {Object} saved
+ */
+function restoreProgress(saved) {
+  clearInterval(timerInterval);
+  timerStart     = Date.now() - saved.elapsedMs;
+  nextTimeWarning = 0;
+  lastSetTime    = timerStart + saved.lastSetAtMs;
+  playerSetTimes = [...saved.playerSetTimes];
+  playerSetPatterns = [...saved.playerSetPatterns];
+  hintsUsed      = saved.hintsUsed;
+  saved.seats.forEach((entry, i) => {
+    seats[i].setTimes    = [...entry.setTimes];
+    seats[i].setPatterns = [...entry.setPatterns];
+  });
+  renderTimer();
+  if (game.state.over) return; // a Blitz countdown that ran out just as it was saved
+
+  paused                 = true;
+  pausedElapsed          = saved.elapsedMs;
+  computerPauseRemaining = 0;
+  if (gameMode === MODE_VS_COMPUTER) {
+    const board = game.state.board;
+    const plan  = saved.computerPlan?.map(code => board.find(card => formatCard(card) === code));
+    if (plan && !plan.includes(undefined) && saved.computerRemainingMs > 0) {
+      computerPlanCards      = plan;
+      computerPauseRemaining = saved.computerRemainingMs;
+    } else {
+      // Saved between moves — plan afresh and hold the countdown until resuming
+      scheduleComputerMove();
+      computerPauseRemaining = Math.max(0, computerTimerDeadline - Date.now());
+      clearComputerTimer();
+    }
+  }
+  resumeGame();
+
+  // Saved while extra cards were on their way
+  busy = true;
+  ensureSetOnBoard(() => {
+    busy = false;
+    updateStatus();
+    if (!game.checkGameOver() && gameMode === MODE_VS_COMPUTER && computerTimerHandle === null) {
+      scheduleComputerMove();
+    }
+  });
+}
+
+/**
+ * One-line description of a saved game for the resume prompt.
+ * @param {Object} saved
+ * @returns {string}
+ */
+function describeSavedGame(saved) {
+  const scores = saved.engine.scores;
+  const you    = scores[PLAYER] ?? 0;
+  const time   = formatTime(saved.elapsedMs);
+  switch (saved.gameMode) {
+    case MODE_VS_COMPUTER:
+      return `vs Computer (${saved.difficulty}) — you ${you}, computer ${scores[COMPUTER] ?? 0} · ${time}`;
+    case MODE_DAILY:
+      return `Daily Puzzle ${saved.puzzleDate} — ${you} of ${saved.engine.totalSets} Sets found · ${time}`;
+    case MODE_BLITZ: {
+      const left = Math.max(0, saved.blitzMinutes * 60000 - saved.elapsedMs);
+      return `Blitz (${saved.blitzMinutes} min) — ${you} ${pluralize(you, 'Set')} · ${formatTime(left)} left`;
+    }
+    case MODE_HOT_SEAT: {
+      const total = Object.values(scores).reduce((a, b) => a + b, 0);
+      return `Hot Seat, ${saved.seats.length} players — ${total} ${pluralize(total, 'Set')} found · ${time}`;
+    }
+    default:
+      return `Single Player — ${you} ${pluralize(you, 'Set')} · ${time}`;
+  }
+}
+
+/** @param {Object} saved */
+function showResumeModal(saved) {
+  resumeSummaryEl.textContent = describeSavedGame(saved);
+  modalMode.classList.add('hidden');
+  modalResume.classList.remove('hidden');
+}
+
+/** @param {Object} saved */
+function resumeSavedGame(saved) {
+  gameMode     = saved.gameMode;
+  difficulty   = saved.difficulty;
+  blitzMinutes = saved.blitzMinutes;
+  startGame(saved);
+}
+
+// ── Keyboard Play ─────────────────────────────────────────────
+/**
+ * Keyboard shortcuts: the board keys (BOARD_KEYS) pick cards by position —
+ * Q W E R is the top row of the board, A S D F the next, and so on — and
+ * letters outside that block work the controls: H hint, G all Sets,
+ * B pause/resume, N new game, T describe board. Controls hidden in the
+ * current mode stay off.
+ * @param {string} key  KeyboardEvent.key
+ * @returns {boolean}   Whether the key was used
+ */
+function handleShortcut(key) {
+  if (!game) return false;
+  const k = key.toLowerCase();
+  if (k === 'b' && paused) {
+    resumeGame();
+    return true;
+  }
+
+  const openModal = document.querySelector('.modal-overlay:not(.hidden)');
+  if (k === 'g' && openModal === setsOverlay) {
+    closeSetsOverlay();
+    return true;
+  }
+  if (k === 'n' && (!openModal || openModal === modalOverlay)) {
+    requestNewGame();
+    return true;
+  }
+  if (openModal) return false;
+
+  const available = btn => !btn.classList.contains('hidden');
+  switch (k) {
+    case 'h':
+      if (available(btnHint)) showHint();
+      return true;
+    case 'g':
+      if (available(btnShowSets)) showSetsOverlay();
+      return true;
+    case 'b':
+      if (available(btnPause)) pauseGame();
+      return true;
+    case 't':
+      describeBoard();
+      return true;
+  }
+
+  const index = boardView.indexForKey(k);
+  if (index === -1) return false;
+  if (!busy && !game.state.over) toggleSelect(index);
+  return true;
+}
+
+/**
+ * The "describe board" command: read out the clock, the scores, the board
+ * status and every card with its key, then the cards picked so far.
+ */
+function describeBoard() {
+  if (!game) return;
+  if (paused) {
+    announcer.announce('Paused. Press B to resume.');
+    return;
+  }
+  const clock    = gameMode === MODE_BLITZ ? `${timerDisplayEl.textContent} left` : `Time ${timerDisplayEl.textContent}`;
+  const selected = game.state.selected;
+  announcer.announce([
+    `${clock}. ${describeScores()}. ${spokenStatus()}.`,
+    `${game.state.board.length} cards: ${boardView.describe().join('; ')}.`,
+    selected.length ? `Selected: ${boardView.describe(selected).join('; ')}.` : '',
+  ].join(' '));
+}
+
+/** @returns {string}  Everyone's score, e.g. "You 4 Sets, Computer 3 Sets" */
+function describeScores() {
+  if (seats.length) return seats.map(seat => `${seat.name} ${describeScore(seat.id)}`).join(', ');
+  if (gameMode === MODE_VS_COMPUTER) return `You ${describeScore(PLAYER)}, Computer ${describeScore(COMPUTER)}`;
+  return `You ${describeScore(PLAYER)}`;
 }
 
 // ── All Sets Overlay ──────────────────────────────────────────
 function showSetsOverlay() {
   if (paused) return;
-  const sets = findAllSets(board);
+  const sets = findAllSets(game.state.board);
   setsOverlayList.innerHTML = '';
 
   if (sets.length === 0) {
@@ -849,10 +2040,13 @@ function closeSetsOverlay() {
 }
 
 // ── Event Wiring ─────────────────────────────────────────────
-btnNewGame.addEventListener('click', showModeModal);
-btnPlayAgain.addEventListener('click', showModeModal);
+btnNewGame.addEventListener('click', requestNewGame);
+// In an online room, play again with the same players
+btnPlayAgain.addEventListener('click', () => (room ? showOnlineModal() : showModeModal()));
 btnHint.addEventListener('click', showHint);
 btnShowSets.addEventListener('click', showSetsOverlay);
+btnDescribe.addEventListener('click', describeBoard);
+btnNoSet.addEventListener('click', callNoSet);
 btnCloseSets.addEventListener('click', closeSetsOverlay);
 
 btnSolo.addEventListener('click', () => {
@@ -862,16 +2056,92 @@ btnSolo.addEventListener('click', () => {
 
 btnVsComputer.addEventListener('click', showDifficultyModal);
 
+btnDaily.addEventListener('click', () => {
+  gameMode = MODE_DAILY;
+  startGame();
+});
+
+btnBlitz.addEventListener('click', showBlitzModal);
+btnBlitzBack.addEventListener('click', showModeModal);
+
+document.querySelectorAll('.blitz-btn').forEach(btn => {
+  btn.addEventListener('click', () => {
+    gameMode     = MODE_BLITZ;
+    blitzMinutes = Number(btn.dataset.minutes);
+    startGame();
+  });
+});
+
 btnBackToMode.addEventListener('click', showModeModal);
+btnAdaptive.addEventListener('click', startAdaptiveGame);
+
+btnHotSeat.addEventListener('click', showHotSeatModal);
+btnHotSeatBack.addEventListener('click', showModeModal);
+btnHotSeatStart.addEventListener('click', () => {
+  gameMode = MODE_HOT_SEAT;
+  startGame();
+});
+document.querySelectorAll('.hotseat-count-btn').forEach(btn => {
+  btn.addEventListener('click', () => setHotSeatCount(Number(btn.dataset.count)));
+});
+
+btnOnline.addEventListener('click', showOnlineModal);
+btnOnlineBack.addEventListener('click', () => {
+  leaveRoom();
+  showModeModal();
+});
+onlineJoinForm.addEventListener('submit', e => {
+  e.preventDefault();
+  joinRoom();
+});
+btnOnlineStart.addEventListener('click', () => room?.start());
+btnOnlineLeave.addEventListener('click', () => {
+  leaveRoom();
+  showOnlineModal();
+});
+btnCopyRoomLink.addEventListener('click', copyRoomLink);
+
+btnResumeSaved.addEventListener('click', () => {
+  const saved = readSavedGame();
+  if (saved) resumeSavedGame(saved);
+  else showModeModal();
+});
+btnDiscardSaved.addEventListener('click', () => {
+  if (getPref('confirmPrompts') && !window.confirm('Discard the saved game? It can\'t be resumed later.')) return;
+  clearSavedGame();
+  showModeModal();
+});
+
+// The browser may discard a backgrounded tab without warning — save the clocks on the way out
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'hidden') saveProgress();
+});
+window.addEventListener('pagehide', saveProgress);
 
 document.querySelectorAll('.difficulty-btn').forEach(btn => {
   btn.addEventListener('click', () => {
     gameMode   = MODE_VS_COMPUTER;
     difficulty = btn.dataset.difficulty;
+    setPref('difficulty', difficulty);
     startGame();
   });
 });
 
+toggleExplainEl.checked = explainMistakes;
+toggleExplainEl.addEventListener('change', () => setExplainMistakes(toggleExplainEl.checked));
+btnCloseExplain.addEventListener('click', hideExplanation);
+
+toggleKeyLabelsEl.checked = keyLabels;
+toggleKeyLabelsEl.addEventListener('change', () => setKeyLabels(toggleKeyLabelsEl.checked));
+bindThemeControls(document.getElementById('theme-select'));
+bindPaletteControls(document.getElementById('palette-select'), document.getElementById('toggle-color-cues'));
+boardView.showKeyLabels(keyLabels);
+bindSoundControls(document.getElementById('volume'), document.getElementById('toggle-mute'));
+
+toggleNoSetEl.checked = noSetRule;
+toggleNoSetEl.addEventListener('change', () => setNoSetRule(toggleNoSetEl.checked));
+onPrefsChange(onPrefsChanged);
+
 btnPause.addEventListener('click', pauseGame);
 btnResume.addEventListener('click', resumeGame);
 
@@ -880,8 +2150,29 @@ setsOverlay.addEventListener('pointerdown', e => {
 });
 document.addEventListener('keydown', e => {
   if (e.key === 'Escape' && paused) { resumeGame(); return; }
+  if (gameMode === MODE_HOT_SEAT && !e.repeat && !e.target.matches('input, select, textarea')) {
+    const seat = seats.find(s => s.key === e.key);
+    if (seat) { e.preventDefault(); buzz(seat); return; }
+  }
+  if (!e.repeat && !e.ctrlKey && !e.metaKey && !e.altKey && !e.target.matches('input, select, textarea')
+      && handleShortcut(e.key)) {
+    e.preventDefault();
+    return;
+  }
   if (e.key === 'Escape' && !setsOverlay.classList.contains('hidden')) closeSetsOverlay();
+  else if (e.key === 'Escape') hideExplanation();
 });
 
 // ── Start ────────────────────────────────────────────────────
-showModeModal();
+// A shared room link (?room=CODE) opens the online lobby ready to join
+// otherwise an unfinished game from an earlier visit is offered first
+const savedGame = readSavedGame();
+if (urlParams.has('room')) {
+  onlineRoomInput.value = urlParams.get('room');
+  if (urlParams.has('server')) onlineServerInput.value = urlParams.get('server');
+  showOnlineModal();
+} else if (savedGame) {
+  showResumeModal(savedGame);
+} else {
+  showModeModal();
+}
@@ -0,0 +1,187 @@
+/**
+ * prefs.js — The player's settings, kept with their account.
+ *
+ * Every setting has a default in PREF_DEFAULTS. getPref() answers at once
+ * from a copy kept in localStorage, so pages start with the right look
+ * before anything has loaded. Signed in, the settings also live in the
+ * player's /settings/{uid} document (db.js): on sign-in the document and the
+ * browser's copy are merged setting by setting — whichever was changed more
+ * recently wins, so choices made as a guest carry over — and changes after
+ * that go to both. Guests, and anyone Firestore fails for, keep the
+ * browser's copy.
+ *
+ * The browser's copy records the account it belongs to. Only a guest's copy,
+ * or the same account's, is merged on sign-in; another account's is dropped,
+ * and signing out goes back to the defaults, so one player's settings never
+ * end up in someone else's account.
+ *
+ * Only settings the player has changed are stored, each with the time it
+ * changed. onPrefsChange() tells a page when settings change under it:
+ * merged in on sign-in, or edited in another tab.
+ */
+
+import { onAuthStateChanged } from 'https://www.gstatic.com/firebasejs/10.14.0/firebase-auth.js';
+import { auth } from './firebase-init.js';
+import { getSettings, saveSettings } from './db.js';
+import { DEFAULT_THEME } from './themes.js';
+
+/** Every setting and its value until the player changes it. */
+export const PREF_DEFAULTS = {
+  animationSpeed:  'normal',      // animations.js ANIMATION_SPEEDS
+  difficulty:      'medium',      // vs Computer difficulty the picker offers first
+  cardTheme:       DEFAULT_THEME, // themes.js THEMES
+  palette:         'default',     // card-render.js PALETTES
+  colorCues:       false,
+  volume:          60,            // 0–100
+  muted:           false,
+  confirmPrompts:  true,          // ask before abandoning a game
+  explainMistakes: false,
+  noSetRule:       false,
+  keyLabels:       true,
+};
+
+const STORAGE_KEY = 'set.prefs';
+
+/** Wait after a change before writing to Firestore, so a dragged slider is one write. */
+const SAVE_DELAY_MS = 1000;
+
+let prefs       = readLocal() ?? guestPrefs(); // { owner, values, changedAt }
+let currentUser = null;
+let saveHandle  = null;
+const listeners = new Set();
+
+// ── Reading and writing ───────────────────────────────────────
+/**
+ * A setting's value: the player's, or its default.
+ * @param {string} key  Key of PREF_DEFAULTS
+ * @returns {any}
+ */
+export function getPref(key) {
+  const value = prefs.values[key];
+  return typeof value === typeof PREF_DEFAULTS[key] ? value : PREF_DEFAULTS[key];
+}
+
+/**
+ * Change a setting: remember it in the browser, save it to the account when
+ * signed in, and tell the page.
+ * @param {string} key
+ * @param {any}    value  Same type as its default
+ */
+export function setPref(key, value) {
+  if (!(key in PREF_DEFAULTS) || getPref(key) === value) return;
+  prefs.values[key]    = value;
+  prefs.changedAt[key] = Date.now();
+  writeLocal();
+  scheduleSave();
+  notify([key]);
+}
+
+/**
+ * Call a listener whenever settings change, with the keys that did.
+ * @param {(keys: string[]) => void} listener
+ */
+export function onPrefsChange(listener) {
+  listeners.add(listener);
+}
+
+/** @param {string[]} keys */
+function notify(keys) {
+  for (const listener of listeners) listener(keys);
+}
+
+/**
+ * Put a new copy of the settings in place, and tell the page what changed.
+ * @param {Object}  next
+ * @param {boolean} [store=true]  Also write it to the browser
+ */
+function replacePrefs(next, store = true) {
+  const before = prefs;
+  prefs = next;
+  if (store) writeLocal();
+  const changed = Object.keys(PREF_DEFAULTS).filter(key => before.values[key] !== prefs.values[key]);
+  if (changed.length) notify(changed);
+}
+
+/** @returns {{ owner: null, values: Object, changedAt: Object }}  A guest with nothing changed */
+function guestPrefs() {
+  return { owner: null, values: {}, changedAt: {} };
+}
+
+// ── Browser copy ──────────────────────────────────────────────
+/** @returns {Object|null} */
+function readLocal() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return stored?.values && stored.changedAt && 'owner' in stored ? stored : null;
+  } catch {
+    return null; // storage blocked or unreadable
+  }
+}
+
+function writeLocal() {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(prefs));
+  } catch {
+    // storage blocked — the settings last for this page (and the account, if signed in)
+  }
+}
+
+// Another tab changed the settings
+window.addEventListener('storage', e => {
+  if (e.key !== STORAGE_KEY) return;
+  replacePrefs(readLocal() ?? guestPrefs(), false);
+});
+
+// ── Account copy ──────────────────────────────────────────────
+function scheduleSave() {
+  if (!currentUser) return;
+  clearTimeout(saveHandle);
+  const uid = currentUser.uid;
+  saveHandle = setTimeout(() => {
+    saveSettings(uid, prefs).catch(err => console.error('Failed to save settings:', err));
+  }, SAVE_DELAY_MS);
+}
+
+/**
+ * Merge two copies setting by setting: the more recent change wins, and on a
+ * tie the account's copy.
+ * @param {Object}      local
+ * @param {Object|null} remote
+ * @param {string}      owner  uid of the account
+ * @returns {{ owner: string, values: Object, changedAt: Object }}
+ */
+function mergePrefs(local, remote, owner) {
+  const merged = { owner, values: { ...local.values }, changedAt: { ...local.changedAt } };
+  for (const [key, value] of Object.entries(remote?.values ?? {})) {
+    const remoteAt = remote.changedAt?.[key] ?? 0;
+    if (!(key in local.values) || remoteAt >= (local.changedAt[key] ?? 0)) {
+      merged.values[key]    = value;
+      merged.changedAt[key] = remoteAt;
+    }
+  }
+  return merged;
+}
+
+/**
+ * On sign-in, bring the browser's copy and the account's together and save
+ * the result to both. On sign-out, go back to a guest's defaults.
+ * @param {Object|null} user
+ */
+async function syncWithAccount(user) {
+  currentUser = user;
+  clearTimeout(saveHandle);
+  // The browser's copy belongs to another account, or to the one just signed out of
+  if (prefs.owner !== null && prefs.owner !== user?.uid) replacePrefs(guestPrefs());
+  if (!user) return;
+  prefs.owner = user.uid; // changes from here on are the account's
+  try {
+    const remote = await getSettings(user.uid);
+    replacePrefs(mergePrefs(prefs, remote, user.uid));
+    const stale = !remote || Object.keys(prefs.values).some(key => remote.values?.[key] !== prefs.values[key]);
+    if (stale) await saveSettings(user.uid, prefs);
+  } catch (err) {
+    console.error('Failed to sync settings:', err);
+  }
+}
+
+onAuthStateChanged(auth, syncWithAccount);
@@ -4,6 +4,7 @@
  * Populates the profile form from the current Firebase user,
  * and handles display name updates via updateProfile().
  * For email/password users, also handles password changes.
+ * The Settings section (prefs.js) is there for everyone, signed in or not.
  */
 
 import {
@@ -14,6 +15,11 @@ import {
   EmailAuthProvider,
 } from 'https://www.gstatic.com/firebasejs/10.14.0/firebase-auth.js';
 import { auth } from './firebase-init.js';
+import { getPref, setPref, onPrefsChange } from './prefs.js';
+import { bindThemeControls, bindPaletteControls } from './card-render.js';
+import { bindSoundControls } from './sound.js';
+import { ANIMATION_SPEEDS } from './animations.js';
+import { DIFFICULTY_LEVELS } from './computer.js';
 
 const signedInEl  = document.getElementById('profile-signed-in');
 const signedOutEl = document.getElementById('profile-signed-out');
@@ -30,6 +36,8 @@ const currentPwInput   = document.getElementById('profile-current-password');
 const newPwInput       = document.getElementById('profile-new-password');
 const passwordStatusEl = document.getElementById('profile-password-status');
 
+const settingsNoteEl   = document.getElementById('settings-storage-note');
+
 const FRIENDLY_PW_ERRORS = {
   'auth/wrong-password':         'Current password is incorrect.',
   'auth/invalid-credential':     'Current password is incorrect.',
@@ -49,6 +57,9 @@ onAuthStateChanged(auth, user => {
     signedInEl.classList.add('hidden');
     signedOutEl.classList.remove('hidden');
   }
+  settingsNoteEl.textContent = user
+    ? 'Settings are saved to your account and follow you to any device you sign in on.'
+    : 'Settings are saved in this browser. Sign in to keep them with your account.';
 });
 
 function renderProfile(user) {
@@ -123,6 +134,50 @@ passwordForm.addEventListener('submit', async e => {
   }
 });
 
+// ── Settings ─────────────────────────────────────────────────────────────────
+
+/**
+ * Keep a <select> in step with a setting.
+ * @param {HTMLSelectElement} selectEl
+ * @param {string} key      Key of PREF_DEFAULTS
+ * @param {Object} options  { value: label }
+ */
+function bindSelectSetting(selectEl, key, options) {
+  selectEl.replaceChildren(...Object.entries(options).map(([value, label]) => new Option(label, value)));
+  const refresh = () => { selectEl.value = getPref(key); };
+  refresh();
+  selectEl.addEventListener('change', () => setPref(key, selectEl.value));
+  onPrefsChange(refresh);
+}
+
+/**
+ * Keep a checkbox in step with an on/off setting.
+ * @param {HTMLInputElement} inputEl
+ * @param {string} key  Key of PREF_DEFAULTS
+ */
+function bindCheckboxSetting(inputEl, key) {
+  const refresh = () => { inputEl.checked = getPref(key); };
+  refresh();
+  inputEl.addEventListener('change', () => setPref(key, inputEl.checked));
+  onPrefsChange(refresh);
+}
+
+const capitalize = word => word[0].toUpperCase() + word.slice(1);
+
+bindSelectSetting(document.getElementById('setting-difficulty'), 'difficulty', {
+  ...Object.fromEntries(DIFFICULTY_LEVELS.map(level => [level, capitalize(level)])),
+  adaptive: 'Adaptive',
+});
+bindSelectSetting(document.getElementById('setting-animation-speed'), 'animationSpeed',
+  Object.fromEntries(Object.entries(ANIMATION_SPEEDS).map(([speed, { label }]) => [speed, label])));
+bindCheckboxSetting(document.getElementById('setting-confirm-prompts'), 'confirmPrompts');
+bindCheckboxSetting(document.getElementById('setting-explain'), 'explainMistakes');
+bindCheckboxSetting(document.getElementById('setting-no-set'), 'noSetRule');
+bindCheckboxSetting(document.getElementById('setting-key-labels'), 'keyLabels');
+bindThemeControls(document.getElementById('setting-theme'));
+bindPaletteControls(document.getElementById('setting-palette'), document.getElementById('setting-color-cues'));
+bindSoundControls(document.getElementById('setting-volume'), document.getElementById('setting-mute'));
+
 // ── Sign-in button (signed-out state) ────────────────────────────────────────
 
 document.getElementById('profile-sign-in-btn').addEventListener('pointerdown', e => {
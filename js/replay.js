@@ -0,0 +1,459 @@
+/**
+ * replay.js — Replay viewer for replay.html
+ *
+ * Loads one saved game (?game=<id>) and steps through its event log
+ * (game-log.js) on a board drawn with the play page's card rendering and
+ * animations. Stepping forward animates the entry; stepping back, restarting
+ * or dragging the scrubber rebuilds the board at that point without
+ * animation. Below the board, the Sets present at the current point are
+ * listed — whichever nobody took were missed.
+ */
+
+import { onAuthStateChanged } from 'https://www.gstatic.com/firebasejs/10.14.0/firebase-auth.js';
+import { auth } from './firebase-init.js';
+import { getGame } from './db.js';
+import { pluralize } from './deck.js';
+import { applyToBoard } from './game-log.js';
+import { findAllSets } from './set-logic.js';
+import { PLAYER, COMPUTER, NO_SET_BONUS } from './engine.js';
+import { createCardEl, renderSetList } from './card-render.js';
+import {
+  randomRotation, dealInCard, flyCardsToScore,
+  DEAL_STAGGER_MS, REPLACE_STAGGER_MS, ERROR_FLASH_MS, animationMs,
+} from './animations.js';
+
+// ── DOM References ───────────────────────────────────────────
+const loadingEl    = document.getElementById('replay-loading');
+const loadingMsgEl = document.getElementById('replay-loading-msg');
+const signedOutEl  = document.getElementById('replay-signed-out');
+const viewerEl     = document.getElementById('replay-viewer');
+const titleEl      = document.getElementById('replay-title');
+const scoresEl     = document.getElementById('replay-scores');
+const boardEl      = document.getElementById('board');
+const btnRestart   = document.getElementById('btn-replay-restart');
+const btnBack      = document.getElementById('btn-replay-back');
+const btnPlay      = document.getElementById('btn-replay-play');
+const btnForward   = document.getElementById('btn-replay-forward');
+const speedEl      = document.getElementById('replay-speed');
+const timeEl       = document.getElementById('replay-time');
+const scrubberEl   = document.getElementById('replay-scrubber');
+const captionEl    = document.getElementById('replay-caption');
+const setsLabelEl  = document.getElementById('replay-sets-label');
+const setsEl       = document.getElementById('replay-sets');
+
+/** Longest wait between two entries during playback (before speed-up), so long think times don't drag. */
+const MAX_GAP_MS = 4000;
+
+// ── State ────────────────────────────────────────────────────
+// record:  the game record being replayed; entries: its event log
+// step:    how many entries have been applied to view
+// view:    board and scores as of step (see emptyView)
+// names:   claimant id → display name; scoreEls: claimant id → score card
+let record   = null;
+let entries  = [];
+let puzzle   = false;
+let step     = 0;
+let view     = null;
+let names    = {};
+let scoreEls = {};
+let busy     = false; // an entry's animation is running
+let playing  = false;
+let playTimer = null;
+
+// ── Replaying the log ────────────────────────────────────────
+/** Board and scores before the first entry. */
+function emptyView() {
+  return { board: [], scores: {}, selected: [], hints: [] };
+}
+
+/**
+ * Apply one log entry to a view. Pure bookkeeping — no DOM.
+ * @param {Object} v
+ * @param {Object} entry
+ */
+function applyEntry(v, entry) {
+  switch (entry.type) {
+    case 'deal':
+      applyToBoard(v.board, entry);
+      break;
+    case 'select':
+      v.selected.push(entry.index);
+      break;
+    case 'deselect':
+      v.selected = v.selected.filter(i => i !== entry.index);
+      break;
+    case 'clear':
+      v.selected = [];
+      break;
+    case 'hint':
+      v.hints.push(entry.index);
+      break;
+    case 'claim':
+      v.scores[entry.by] = (v.scores[entry.by] ?? 0) + 1;
+      v.selected = [];
+      v.hints    = [];
+      applyToBoard(v.board, entry, { puzzle });
+      break;
+    case 'noSet':
+      v.scores[entry.by] = (v.scores[entry.by] ?? 0) + NO_SET_BONUS;
+      v.selected = [];
+      v.hints    = [];
+      break;
+    case 'mistake':
+    case 'found':
+    case 'noSetWrong':
+      v.selected = [];
+      break;
+    // extra and reshuffle only change the caption; the deal that follows adds the cards
+  }
+}
+
+/**
+ * The view after the first n entries.
+ * @param {number} n
+ * @returns {Object}
+ */
+function viewAt(n) {
+  const v = emptyView();
+  for (let i = 0; i < n; i++) applyEntry(v, entries[i]);
+  return v;
+}
+
+// ── Rendering ────────────────────────────────────────────────
+function createReplayCardEl(card) {
+  const el = createCardEl(card);
+  el.style.setProperty('--card-rotate', randomRotation());
+  // Nothing to click in a replay
+  el.removeAttribute('role');
+  el.removeAttribute('tabindex');
+  return el;
+}
+
+/** Rebuild the board from the view, without animation. */
+function renderBoard() {
+  boardEl.innerHTML = '';
+  view.board.forEach((card, i) => {
+    const el = createReplayCardEl(card);
+    el.classList.toggle('selected', view.selected.includes(i));
+    el.classList.toggle('hint', view.hints.includes(i));
+    boardEl.appendChild(el);
+  });
+}
+
+/** Bring the selection and hint highlights on the existing cards in line with the view. */
+function renderHighlights() {
+  Array.from(boardEl.children).forEach((el, i) => {
+    el.classList.toggle('selected', view.selected.includes(i));
+    el.classList.toggle('hint', view.hints.includes(i));
+  });
+}
+
+/** One score card per claimant who appears in the record. */
+function renderScoreCards() {
+  scoresEl.innerHTML = '';
+  scoreEls = {};
+  for (const [id, name] of Object.entries(names)) {
+    const card = document.createElement('div');
+    card.className = 'score-card';
+    card.innerHTML = `
+      <div class="player-name"></div>
+      <div class="player-score">0</div>
+      <div class="score-label">Sets found</div>`;
+    card.querySelector('.player-name').textContent = name; // player names are user text
+    scoresEl.appendChild(card);
+    scoreEls[id] = card;
+  }
+}
+
+/** Refresh everything except the board: scores, clock, caption, scrubber and the Sets list. */
+function renderStatus() {
+  for (const [id, card] of Object.entries(scoreEls)) {
+    card.querySelector('.player-score').textContent = view.scores[id] ?? 0;
+  }
+
+  const now = step > 0 ? entries[step - 1].t : 0;
+  timeEl.textContent = `${formatTime(now)} / ${formatTime(totalMs())} · step ${step} of ${entries.length}`;
+  captionEl.textContent = step > 0 ? describeEntry(entries[step - 1]) : 'Start of the game';
+  scrubberEl.value = step;
+
+  btnRestart.disabled = step === 0;
+  btnBack.disabled    = step === 0;
+  btnForward.disabled = step >= entries.length;
+  btnPlay.textContent = playing ? 'Pause' : step >= entries.length ? 'Replay' : 'Play';
+
+  const sets = findAllSets(view.board);
+  setsLabelEl.textContent = `Sets on the board (${sets.length})`;
+  setsEl.innerHTML = '';
+  if (sets.length > 0) renderSetList(sets, setsEl);
+}
+
+/**
+ * Caption for a log entry.
+ * @param {Object} entry
+ * @returns {string}
+ */
+function describeEntry(entry) {
+  const who = names[entry.by] ?? 'Someone';
+  switch (entry.type) {
+    case 'deal':      return `Dealt ${entry.cards.length} ${pluralize(entry.cards.length, 'card')}`;
+    case 'select':    return `${who} selected a card`;
+    case 'deselect':  return `${who} deselected a card`;
+    case 'clear':     return 'Selection cleared';
+    case 'hint':      return 'Hint shown';
+    case 'claim':     return `${who} found a Set`;
+    case 'mistake':   return `${who}: not a Set`;
+    case 'found':     return `${who}: that Set was already found`;
+    case 'extra':     return 'No Set on the board — 3 more cards';
+    case 'noSet':     return `${who} called No Set — correct`;
+    case 'noSetWrong': return `${who} called No Set — but there was a Set`;
+    case 'reshuffle': return `Deck ran out — ${entry.count} claimed cards shuffled back in`;
+    default:          return '';
+  }
+}
+
+function formatTime(ms) {
+  const totalSec = Math.floor(ms / 1000);
+  return `${Math.floor(totalSec / 60)}:${String(totalSec % 60).padStart(2, '0')}`;
+}
+
+/** Length of the replayed game in ms. */
+function totalMs() {
+  return Math.max(record.durationMs ?? 0, entries.length ? entries[entries.length - 1].t : 0);
+}
+
+// ── Stepping ─────────────────────────────────────────────────
+/**
+ * Jump to the view after the first n entries, without animation.
+ * @param {number} n
+ */
+function seek(n) {
+  step = Math.max(0, Math.min(entries.length, n));
+  view = viewAt(step);
+  renderBoard();
+  renderStatus();
+}
+
+/**
+ * Apply the next entry with the play page's animations.
+ * @param {Function} [onDone]  Called once the animation has finished
+ */
+function stepForward(onDone = () => {}) {
+  if (busy || step >= entries.length) return;
+  const entry = entries[step];
+  step++;
+
+  if (entry.type === 'deal') {
+    applyEntry(view, entry);
+    const first = view.board.length - entry.cards.length;
+    entry.cards.forEach((_, i) => {
+      const el = createReplayCardEl(view.board[first + i]);
+      dealInCard(el, i * DEAL_STAGGER_MS);
+      boardEl.appendChild(el);
+    });
+    renderStatus();
+    onDone();
+    return;
+  }
+
+  if (entry.type === 'claim') {
+    busy = true;
+    const els = entry.indices.map(i => boardEl.children[i]);
+    for (const el of els) el.classList.remove('selected', 'hint');
+    applyEntry(view, entry);
+    renderStatus();
+    flyCardsToScore(els, scoreEls[entry.by] ?? scoresEl, () => {
+      renderClaimedSlots(entry, els);
+      renderHighlights();
+      busy = false;
+      onDone();
+    });
+    return;
+  }
+
+  // A mistake flashes the claimed cards; a wrong "No Set!" call shows the Set that was there
+  if (entry.type === 'mistake' || entry.type === 'noSetWrong') {
+    busy = true;
+    const flash = entry.type === 'mistake' ? 'flash-error' : 'hint';
+    const els = entry.indices.map(i => boardEl.children[i]);
+    for (const el of els) {
+      el.classList.remove('selected');
+      el.classList.add(flash);
+    }
+    applyEntry(view, entry);
+    renderStatus();
+    setTimeout(() => {
+      for (const el of els) el.classList.remove(flash);
+      busy = false;
+      onDone();
+    }, animationMs(ERROR_FLASH_MS));
+    return;
+  }
+
+  applyEntry(view, entry);
+  renderHighlights();
+  renderStatus();
+  onDone();
+}
+
+/**
+ * After a claimed Set has flown off: deal replacements into the same slots,
+ * remove the slots, or (Daily Puzzle) bring the cards back.
+ * @param {Object}    entry  The claim entry
+ * @param {Element[]} els    The claimed card elements
+ */
+function renderClaimedSlots(entry, els) {
+  if (entry.replacements) {
+    for (const { index } of entry.replacements) {
+      const el = createReplayCardEl(view.board[index]);
+      dealInCard(el, entry.indices.indexOf(index) * REPLACE_STAGGER_MS);
+      boardEl.children[index].replaceWith(el);
+    }
+  } else if (puzzle) {
+    for (const el of els) el.classList.remove('flying');
+  } else {
+    for (const el of els) el.remove();
+  }
+}
+
+// ── Playback ─────────────────────────────────────────────────
+function play() {
+  if (step >= entries.length) seek(0);
+  playing = true;
+  renderStatus();
+  scheduleNext();
+}
+
+function pause() {
+  playing = false;
+  clearTimeout(playTimer);
+  playTimer = null;
+  renderStatus();
+}
+
+/** Wait out the game-clock gap before the next entry (scaled by speed), then play it. */
+function scheduleNext() {
+  if (!playing) return;
+  if (step >= entries.length) {
+    pause();
+    return;
+  }
+  const gap  = entries[step].t - (step > 0 ? entries[step - 1].t : 0);
+  const wait = Math.min(gap, MAX_GAP_MS) / Number(speedEl.value);
+  playTimer = setTimeout(() => stepForward(scheduleNext), wait);
+}
+
+/**
+ * Stop playback and jump, for the manual controls. Ignored mid-animation,
+ * like clicks on the play page.
+ * @param {number} n
+ */
+function jumpTo(n) {
+  if (busy) return;
+  pause();
+  seek(n);
+}
+
+// ── Loading ──────────────────────────────────────────────────
+/**
+ * Display names for everyone who can appear in the log.
+ * @param {Object} game  The game record
+ * @returns {Object} claimant id → name
+ */
+function claimantNames(game) {
+  if (game.players?.length) {
+    return Object.fromEntries(game.players.map((p, i) => [p.id ?? `p${i + 1}`, p.name]));
+  }
+  if (game.gameMode === 'vs-computer') return { [PLAYER]: 'You', [COMPUTER]: 'Computer' };
+  return { [PLAYER]: 'You' };
+}
+
+/**
+ * Title line: mode and date.
+ * @param {Object} game
+ * @returns {string}
+ */
+function replayTitle(game) {
+  const mode = game.gameMode === 'vs-computer' ? `vs Computer (${game.difficulty})`
+             : game.gameMode === 'daily'       ? `Daily Puzzle ${game.puzzleDate}`
+             : game.gameMode === 'blitz'       ? `Blitz (${game.blitzMinutes} min)`
+             : game.gameMode === 'hot-seat'    ? 'Hot Seat'
+             : game.gameMode === 'online'      ? `Online (room ${game.roomCode})`
+             : 'Single Player';
+  const ts   = game.completedAt;
+  const date = ts ? (ts.toDate ? ts.toDate() : new Date(ts.seconds * 1000)) : null;
+  return date
+    ? `${mode} · ${date.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' })}`
+    : mode;
+}
+
+async function loadReplay() {
+  const id = new URLSearchParams(window.location.search).get('game');
+  if (!id) {
+    loadingMsgEl.textContent = 'No game chosen — open a replay from your game history.';
+    return;
+  }
+  try {
+    record = await getGame(id);
+  } catch (err) {
+    console.error('Failed to load replay:', err);
+    loadingMsgEl.textContent = 'Failed to load this game. Check the browser console for details.';
+    loadingMsgEl.classList.add('history-load-error');
+    return;
+  }
+  if (!record?.eventLog?.length) {
+    loadingMsgEl.textContent = record
+      ? 'This game was saved before replays were recorded.'
+      : 'Game not found.';
+    return;
+  }
+
+  entries = record.eventLog;
+  puzzle  = record.gameMode === 'daily';
+  names   = claimantNames(record);
+  titleEl.textContent = replayTitle(record);
+  scrubberEl.max = entries.length;
+  renderScoreCards();
+  seek(0);
+
+  loadingEl.classList.add('hidden');
+  viewerEl.classList.remove('hidden');
+}
+
+// ── Event Wiring ─────────────────────────────────────────────
+btnPlay.addEventListener('click', () => {
+  if (playing) pause();
+  else play();
+});
+btnRestart.addEventListener('click', () => jumpTo(0));
+btnBack.addEventListener('click', () => jumpTo(step - 1));
+btnForward.addEventListener('click', () => {
+  pause();
+  stepForward();
+});
+scrubberEl.addEventListener('input', () => jumpTo(Number(scrubberEl.value)));
+
+document.addEventListener('keydown', e => {
+  if (viewerEl.classList.contains('hidden') || e.target.matches('input, select')) return;
+  if (e.key === ' ') {
+    e.preventDefault();
+    if (playing) pause();
+    else play();
+  } else if (e.key === 'ArrowLeft') {
+    jumpTo(step - 1);
+  } else if (e.key === 'ArrowRight') {
+    pause();
+    stepForward();
+  }
+});
+
+document.getElementById('replay-sign-in-btn').addEventListener('pointerdown', e => {
+  e.preventDefault();
+  document.dispatchEvent(new CustomEvent('open-auth-modal'));
+});
+
+// ── Auth state ───────────────────────────────────────────────
+onAuthStateChanged(auth, user => {
+  signedOutEl.classList.toggle('hidden', !!user);
+  loadingEl.classList.toggle('hidden', !user);
+  if (user && !record) loadReplay();
+});
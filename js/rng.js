@@ -0,0 +1,62 @@
+/**
+ * rng.js — Seedable pseudo-random number generator.
+ *
+ * A seed is an unsigned 32-bit integer. The same seed always produces the
+ * same sequence, so a deck shuffled with createRng(seed) can be recreated
+ * exactly (e.g. from a ?seed= URL parameter or a saved game record).
+ */
+
+/**
+ * Create a seeded random function using the mulberry32 algorithm.
+ * The returned function is a drop-in replacement for Math.random().
+ * @param {number} seed  Unsigned 32-bit integer
+ * @returns {() => number}  Returns floats in [0, 1)
+ */
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return function rng() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick a fresh random seed for a game that wasn't given one.
+ * @returns {number}
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+/**
+ * Hash an arbitrary string to a seed (FNV-1a), so seeds can be derived
+ * from readable keys such as a date.
+ * @param {string} str
+ * @returns {number}
+ */
+export function hashSeed(str) {
+  let h = 0x811C9DC5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Read the ?seed= parameter from a URL query string.
+ * Numeric values are used as-is; any other text is hashed with hashSeed().
+ * @param {string} search  e.g. window.location.search
+ * @returns {number|null}  null when the parameter is absent or empty
+ */
+export function seedFromQuery(search) {
+  const raw = new URLSearchParams(search).get('seed');
+  if (raw == null || raw.trim() === '') return null;
+  const trimmed = raw.trim();
+  return /^\d+$/.test(trimmed) && Number(trimmed) < 4294967296
+    ? Number(trimmed)
+    : hashSeed(trimmed);
+}
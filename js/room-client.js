@@ -0,0 +1,245 @@
+/**
+ * room-client.js — Browser side of online rooms (server/room-server.mjs).
+ *
+ * connectRoom() opens the WebSocket and reports lobby changes. Each game the
+ * host starts arrives as a remote game: an object with the engine's interface
+ * (state, on/off, start, toggleSelect, scoreOf, …) whose state follows the
+ * engine events the server relays, so play.js renders it like a local game.
+ *
+ * Events a room fires:
+ *   joined  — { room, playerId }
+ *   lobby   — { room, hostId, playing, players }
+ *   started — remote game for the new deal
+ *   error   — { message }
+ *   closed  — the connection dropped or was closed
+ *
+ * A remote game fires the engine's events plus:
+ *   claimLate — { cards }   the local player's claim lost a race for the same cards
+ */
+
+import { formatCard } from './deck.js';
+import { createEmitter } from './engine.js';
+
+/** Port the room server listens on unless told otherwise. */
+export const DEFAULT_ROOM_PORT = 8080;
+
+/** Delay before retrying server events held back while the page animates. */
+const HOLD_RETRY_MS = 100;
+
+/**
+ * The room server to suggest: the page's own host when the page is served by
+ * the room server itself, otherwise the same machine on DEFAULT_ROOM_PORT.
+ * @param {Location} location
+ * @returns {string}  host[:port]
+ */
+export function defaultRoomServer(location) {
+  if (location.protocol === 'file:' || !location.hostname) return `localhost:${DEFAULT_ROOM_PORT}`;
+  return location.port === String(DEFAULT_ROOM_PORT) ? location.host : `${location.hostname}:${DEFAULT_ROOM_PORT}`;
+}
+
+/**
+ * Connect to a room server and join a room.
+ * @param {Object}   options
+ * @param {string}   options.server  host[:port] of the room server
+ * @param {string}   [options.room]  Room code; empty to create a new room
+ * @param {string}   options.name    Display name
+ * @param {() => boolean} [options.isBusy]  While true, incoming game events are held back
+ *                                          (so the page finishes one animation before the next)
+ * @returns {Object} Room with on/off, start(), close() and the joined room/playerId
+ */
+export function connectRoom({ server, room = '', name, isBusy = () => false }) {
+  const emitter  = createEmitter();
+  const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+  const socket   = new WebSocket(`${protocol}//${server}/ws`);
+  let game = null;
+
+  const handle = {
+    on:       emitter.on,
+    off:      emitter.off,
+    code:     null,
+    playerId: null,
+    /** Host only: deal a new game for everyone in the room. */
+    start() {
+      send({ type: 'start' });
+    },
+    close() {
+      socket.close();
+    },
+  };
+
+  function send(msg) {
+    if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(msg));
+  }
+
+  socket.addEventListener('open', () => send({ type: 'join', room, name }));
+  socket.addEventListener('close', () => emitter.emit('closed'));
+  socket.addEventListener('message', e => {
+    const msg = JSON.parse(e.data);
+    if (msg.type === 'joined') {
+      handle.code     = msg.room;
+      handle.playerId = msg.playerId;
+      emitter.emit('joined', msg);
+    } else if (msg.type === 'lobby') {
+      emitter.emit('lobby', msg);
+    } else if (msg.type === 'started') {
+      game = createRemoteGame(msg, handle.playerId, send, isBusy);
+      emitter.emit('started', game);
+    } else if (msg.type === 'event' || msg.type === 'late') {
+      game?.receive(msg);
+    } else if (msg.type === 'error') {
+      emitter.emit('error', msg);
+    }
+  });
+
+  return handle;
+}
+
+/**
+ * A game mirrored from the server. Board changes arrive as engine events and
+ * are applied in order, so state.board always matches the server's board as
+ * of the last event handled; only the local selection lives here.
+ * @param {{ seed: number, players: Object[] }} started  The server's 'started' message
+ * @param {string}   playerId  The local player's claimant id
+ * @param {Function} send
+ * @param {() => boolean} isBusy
+ * @returns {Object}
+ */
+function createRemoteGame({ seed, players }, playerId, send, isBusy) {
+  const emitter = createEmitter();
+  const queue   = [];  // server messages not yet applied
+  let started   = false;
+  let retryHandle = null;
+  let version   = 0;   // board version of the last event applied
+  let disconnected = false; // the connection dropped; nothing more will arrive
+
+  /** Same shape as the engine's state. deck only mirrors the count — its cards are secret. */
+  const state = {
+    seed,
+    deck:            [],
+    discard:         [],
+    board:           [],
+    selected:        [],
+    scores:          {},
+    mistakes:        {},
+    extraCardsDealt: 0,
+    found:           [],
+    totalSets:       null,
+    over:            false,
+  };
+
+  /** Apply queued messages in order, pausing while the page is busy animating. */
+  function drain() {
+    while (started && queue.length > 0) {
+      if (isBusy()) {
+        retryHandle ??= setTimeout(() => {
+          retryHandle = null;
+          drain();
+        }, HOLD_RETRY_MS);
+        return;
+      }
+      apply(queue.shift());
+    }
+    if (started && disconnected && !state.over) endDisconnected();
+  }
+
+  /** End the game where it stood, with gameOver { disconnected: true }. */
+  function endDisconnected() {
+    state.over = true;
+    state.selected = [];
+    emitter.emit('gameOver', { scores: { ...state.scores }, mistakes: { ...state.mistakes }, disconnected: true });
+  }
+
+  function apply(msg) {
+    if (msg.type === 'late') {
+      emitter.emit('claimLate', { cards: msg.cards });
+      return;
+    }
+
+    const { name, payload } = msg;
+    if (name === 'cardsDealt') {
+      state.board.push(...payload.cards);
+    } else if (name === 'setClaimed') {
+      if (payload.replacements) {
+        for (const { index, card } of payload.replacements) state.board[index] = card;
+      } else {
+        // Highest index first so splicing never shifts an index still to be handled.
+        for (const index of [...payload.indices].sort((a, b) => b - a)) state.board.splice(index, 1);
+      }
+    } else if (name === 'extraCardsDealt') {
+      state.extraCardsDealt = payload.count;
+    } else if (name === 'gameOver') {
+      state.over = true;
+      state.selected = [];
+    }
+    state.scores   = msg.scores;
+    state.mistakes = msg.mistakes;
+    state.deck     = new Array(msg.deckCount).fill(null);
+    version        = msg.version;
+    emitter.emit(name, payload);
+  }
+
+  return {
+    state,
+    players,
+    playerId,
+    on:  emitter.on,
+    off: emitter.off,
+
+    /** @param {Object} msg  An 'event' or 'late' message from the server */
+    receive(msg) {
+      queue.push(msg);
+      drain();
+    },
+
+    /**
+     * The connection dropped mid-game: once the events already received are
+     * applied, the game ends as it stands.
+     */
+    disconnect() {
+      disconnected = true;
+      drain();
+    },
+
+    /** Begin applying server events (those that arrived early are replayed first). */
+    start() {
+      started = true;
+      drain();
+    },
+
+    /**
+     * Toggle a board index in the local selection. A third card sends the
+     * claim to the server, which answers with setClaimed, mistake or claimLate.
+     * @returns {null}  The result always arrives later, as an event
+     */
+    toggleSelect(index) {
+      if (state.over || index < 0 || index >= state.board.length) return null;
+      const pos = state.selected.indexOf(index);
+      if (pos !== -1) {
+        state.selected.splice(pos, 1);
+        return null;
+      }
+      if (state.selected.length >= 3) return null;
+      state.selected.push(index);
+      if (state.selected.length < 3) return null;
+      const cards = state.selected.map(i => formatCard(state.board[i]));
+      state.selected = [];
+      send({ type: 'claim', cards, version });
+      return null;
+    },
+
+    clearSelection() {
+      state.selected = [];
+    },
+
+    // The server deals extra cards and decides when the game ends.
+    needsExtraCards: () => false,
+    dealExtraCards:  () => {},
+    checkGameOver:   () => state.over,
+    endGame:         () => {},
+
+    scoreOf:    claimant => state.scores[claimant] ?? 0,
+    mistakesOf: claimant => state.mistakes[claimant] ?? 0,
+    // Rooms play without the "No Set" rule, so there are never any calls.
+    noSetCallsOf: () => 0,
+  };
+}
@@ -1,7 +1,13 @@
 /**
  * set-logic.js — Core Set game validation and search utilities.
+ *
+ * Any two cards determine exactly one third card that completes a Set, so
+ * searches pair up cards and look the completion up in a hashed board —
+ * O(n²) rather than checking every triple.
  */
 
+import { FEATURES } from './deck.js';
+
 /**
  * Check whether a feature value across three cards is valid for a Set:
  * all three values must be all-same OR all-different.
@@ -33,30 +39,130 @@ export function isSet(a, b, c) {
 }
 
 /**
- * Yield every unique combination of three cards from the array.
- * @param {object[]} cards
- * @yields {[object, object, object]}
+ * Explain, feature by feature, why three cards do or don't form a Set.
+ * Each feature entry has:
+ *   feature — 'color' | 'shape' | 'count' | 'fill'
+ *   values  — the three cards' values, in argument order
+ *   kind    — 'same' | 'different' | 'two-and-one'
+ *   valid   — false only for 'two-and-one', which breaks the Set rule
+ *   odd     — for 'two-and-one', index (0–2) of the card whose value differs; otherwise null
+ * @param {object} a
+ * @param {object} b
+ * @param {object} c
+ * @returns {{ isSet: boolean, features: Array<{feature: string, values: any[], kind: string, valid: boolean, odd: number|null}> }}
  */
-function* triplets(cards) {
-  for (let i = 0; i < cards.length - 2; i++) {
-    for (let j = i + 1; j < cards.length - 1; j++) {
-      for (let k = j + 1; k < cards.length; k++) {
-        yield [cards[i], cards[j], cards[k]];
-      }
+export function explainSet(a, b, c) {
+  const features = Object.keys(FEATURES).map(feature => {
+    const values = [a[feature], b[feature], c[feature]];
+    const [x, y, z] = values;
+    if (x === y && y === z) {
+      return { feature, values, kind: 'same', valid: true, odd: null };
+    }
+    if (featureValid(x, y, z)) {
+      return { feature, values, kind: 'different', valid: true, odd: null };
+    }
+    const odd = x === y ? 2 : x === z ? 1 : 0;
+    return { feature, values, kind: 'two-and-one', valid: false, odd };
+  });
+  return { isSet: features.every(f => f.valid), features };
+}
+
+/**
+ * Classify a Set by which features are all-same and which all-different:
+ * one letter per feature in FEATURES order (color, shape, count, fill),
+ * 'S' for same and 'D' for different. "DDDD" is the all-different Set.
+ * @param {object} a
+ * @param {object} b
+ * @param {object} c  a, b and c must form a Set
+ * @returns {string}  e.g. "SDDS"
+ */
+export function setPattern(a, b, c) {
+  return Object.keys(FEATURES).map(feature => (a[feature] === b[feature] ? 'S' : 'D')).join('');
+}
+
+/** Feature names in setPattern() letter order, as players say them. */
+const PATTERN_FEATURE_NAMES = ['color', 'shape', 'number', 'shading'];
+
+/**
+ * Readable form of a pattern code, e.g. "SDDS" → "Shape & number different".
+ * @param {string} pattern  From setPattern()
+ * @returns {string}
+ */
+export function describePattern(pattern) {
+  const different = PATTERN_FEATURE_NAMES.filter((_, i) => pattern[i] === 'D');
+  if (different.length === PATTERN_FEATURE_NAMES.length) return 'All four different';
+  const names = different.length === 1
+    ? different[0]
+    : `${different.slice(0, -1).join(', ')} & ${different[different.length - 1]}`;
+  return `${names.charAt(0).toUpperCase()}${names.slice(1)} different`;
+}
+
+/**
+ * The unique card that completes a Set with a and b.
+ * Per feature: the shared value if a and b agree, otherwise the third value.
+ * @param {object} a
+ * @param {object} b
+ * @returns {{color: string, shape: string, count: number, fill: string}}
+ */
+export function thirdCard(a, b) {
+  const card = {};
+  for (const [feature, values] of Object.entries(FEATURES)) {
+    card[feature] = a[feature] === b[feature]
+      ? a[feature]
+      : values.find(v => v !== a[feature] && v !== b[feature]);
+  }
+  return card;
+}
+
+/**
+ * Number a card 0–80 by its feature values (base 3, one digit per feature).
+ * Two cards with equal features share a code.
+ * @param {object} card
+ * @returns {number}
+ */
+function cardCode(card) {
+  let code = 0;
+  for (const [feature, values] of Object.entries(FEATURES)) {
+    code = code * 3 + values.indexOf(card[feature]);
+  }
+  return code;
+}
+
+/**
+ * THIRD_CODE[x * 81 + y] — code of the card completing a Set with cards x and y.
+ * Per base-3 digit the third value is (−x − y) mod 3.
+ */
+const THIRD_CODE = new Uint8Array(81 * 81);
+for (let x = 0; x < 81; x++) {
+  for (let y = 0; y < 81; y++) {
+    let code = 0;
+    for (let place = 27, rx = x, ry = y; place >= 1; place /= 3) {
+      const dx = Math.floor(rx / place);
+      const dy = Math.floor(ry / place);
+      code += ((6 - dx - dy) % 3) * place;
+      rx -= dx * place;
+      ry -= dy * place;
     }
+    THIRD_CODE[x * 81 + y] = code;
   }
 }
 
 /**
  * Find all valid Sets in an array of cards.
- * Returns an array of triplets (each triplet is [cardA, cardB, cardC]).
+ * Returns an array of triplets (each triplet is [cardA, cardB, cardC]), each
+ * in board order, sorted as if every triple i < j < k were scanned in turn.
  * @param {object[]} cards
  * @returns {Array<[object, object, object]>}
  */
 export function findAllSets(cards) {
+  const codes = cards.map(cardCode);
+  const indexByCode = new Map(codes.map((code, i) => [code, i]));
   const results = [];
-  for (const triplet of triplets(cards)) {
-    if (isSet(...triplet)) results.push(triplet);
+  for (let i = 0; i < cards.length - 2; i++) {
+    for (let j = i + 1; j < cards.length - 1; j++) {
+      const k = indexByCode.get(THIRD_CODE[codes[i] * 81 + codes[j]]);
+      if (k > j) results.push([cards[i], cards[j], cards[k]]);
+    }
   }
   return results;
 }
@@ -68,8 +174,12 @@ export function findAllSets(cards) {
  * @returns {boolean}
  */
 export function hasSet(cards) {
-  for (const triplet of triplets(cards)) {
-    if (isSet(...triplet)) return true;
+  const codes = cards.map(cardCode);
+  const indexByCode = new Map(codes.map((code, i) => [code, i]));
+  for (let i = 0; i < cards.length - 2; i++) {
+    for (let j = i + 1; j < cards.length - 1; j++) {
+      if (indexByCode.get(THIRD_CODE[codes[i] * 81 + codes[j]]) > j) return true;
+    }
   }
   return false;
 }
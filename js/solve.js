@@ -2,13 +2,21 @@
  * solve.js — Board builder and Set solver for solve.html
  *
  * The card picker shows all 81 cards. Clicking a picker card toggles it
- * onto/off the board. The board can also be populated with a random deal.
+ * onto/off the board. The board can also be populated with a random deal;
+ * a ?seed= URL parameter deals the same 12 cards on load every time.
  * "Find All Sets" runs findAllSets() on the current board and renders results.
+ * Clicking board cards selects them; with three selected, the page explains
+ * feature by feature whether they form a Set. A board card is removed with
+ * its ✕ (or Delete on the focused card), as well as through the picker.
+ *
+ * The board is mirrored into the URL hash (#board=2RDS-1GOF-…) and into the
+ * notation box, so it survives reloads and can be shared as text or a link.
  */
 
-import { createDeck, shuffle, pluralize } from './deck.js';
-import { findAllSets } from './set-logic.js';
-import { createCardEl, renderSetList } from './card-render.js';
+import { createDeck, shuffle, pluralize, formatCard, formatBoard, parseBoard } from './deck.js';
+import { createRng, seedFromQuery } from './rng.js';
+import { findAllSets, explainSet } from './set-logic.js';
+import { createCardEl, renderSetList, renderSetExplanation, bindThemeControls, bindPaletteControls } from './card-render.js';
 
 // ── DOM References ───────────────────────────────────────────
 const solveBoardEl   = document.getElementById('solve-board');
@@ -20,6 +28,14 @@ const btnFindSets    = document.getElementById('btn-find-sets');
 const btnClearBoard  = document.getElementById('btn-clear-board');
 const resultsLabel   = document.getElementById('results-label');
 const setsResultList = document.getElementById('sets-result-list');
+const notationInput  = document.getElementById('board-notation-input');
+const notationStatus = document.getElementById('board-notation-status');
+const btnLoadNotation = document.getElementById('btn-load-notation');
+const btnCopyNotation = document.getElementById('btn-copy-notation');
+const btnCopyLink    = document.getElementById('btn-copy-link');
+const explainEl      = document.getElementById('solve-explain');
+const explainVerdict = document.getElementById('solve-explain-verdict');
+const explainList    = document.getElementById('solve-explain-list');
 
 // ── State ────────────────────────────────────────────────────
 /** All 81 cards in a stable canonical order */
@@ -31,9 +47,19 @@ const allCards = createDeck();
  */
 const boardIndices = new Set();
 
+/** Indices (into allCards) of the board cards selected for explanation, max 3. */
+const selectedIndices = new Set();
+
 /** Standard number of cards on the board (fewer only when the deck runs short). */
 const BOARD_SIZE = 12;
 
+/** Card code (e.g. "2RDS") → index into allCards. */
+const indexByCode = new Map(allCards.map((card, idx) => [formatCard(card), idx]));
+
+/** URL hash prefix for a shared board; codes are joined with HASH_SEPARATOR. */
+const HASH_PREFIX    = '#board=';
+const HASH_SEPARATOR = '-';
+
 // ── Event wiring helper ───────────────────────────────────────
 /**
  * Attach pointer and keyboard activation listeners to a card element.
@@ -85,11 +111,99 @@ function renderBoard() {
   for (const idx of [...boardIndices].sort((a, b) => a - b)) {
     const card = allCards[idx];
     const el = createCardEl(card);
-    addCardListeners(el, () => toggleCardOnBoard(idx));
+    el.dataset.deckIdx = idx;
+    el.classList.toggle('selected', selectedIndices.has(idx));
+    el.setAttribute('aria-keyshortcuts', 'Delete');
+    addCardListeners(el, () => toggleCardSelected(idx));
+    el.addEventListener('keydown', e => {
+      if (e.key === 'Delete' || e.key === 'Backspace') {
+        e.preventDefault();
+        removeCardFromBoard(idx, { refocus: true });
+      }
+    });
+    el.appendChild(createRemoveBtn(idx));
     solveBoardEl.appendChild(el);
   }
 }
 
+/**
+ * The ✕ in a board card's corner. Keyboard users press Delete on the card
+ * instead, so the button stays out of the tab order and the accessibility tree.
+ * @param {number} deckIdx
+ * @returns {HTMLButtonElement}
+ */
+function createRemoveBtn(deckIdx) {
+  const btn = document.createElement('button');
+  btn.type        = 'button';
+  btn.className   = 'card-remove-btn';
+  btn.textContent = '✕';
+  btn.title       = 'Remove from the board';
+  btn.tabIndex    = -1;
+  btn.setAttribute('aria-hidden', 'true');
+  btn.addEventListener('pointerdown', e => {
+    e.preventDefault();
+    e.stopPropagation(); // not a selection of the card underneath
+    removeCardFromBoard(deckIdx);
+  });
+  return btn;
+}
+
+/**
+ * Take a card off the board.
+ * @param {number}  deckIdx
+ * @param {Object}  [options]
+ * @param {boolean} [options.refocus]  Move keyboard focus to the card now in its place
+ */
+function removeCardFromBoard(deckIdx, { refocus = false } = {}) {
+  const position = [...boardIndices].sort((a, b) => a - b).indexOf(deckIdx);
+  boardIndices.delete(deckIdx);
+  syncBoardUI();
+  if (!refocus) return;
+  const cards = solveBoardEl.querySelectorAll('.card');
+  cards[Math.min(position, cards.length - 1)]?.focus();
+}
+
+// ── Selection & explanation ───────────────────────────────────
+/**
+ * Select or deselect a board card. Selecting a fourth card starts a new
+ * selection with just that card.
+ * @param {number} deckIdx
+ */
+function toggleCardSelected(deckIdx) {
+  if (selectedIndices.has(deckIdx)) {
+    selectedIndices.delete(deckIdx);
+  } else {
+    if (selectedIndices.size >= 3) selectedIndices.clear();
+    selectedIndices.add(deckIdx);
+  }
+  // Update classes in place so keyboard focus stays on the card
+  for (const el of solveBoardEl.querySelectorAll('.card')) {
+    el.classList.toggle('selected', selectedIndices.has(Number(el.dataset.deckIdx)));
+  }
+  renderExplanation();
+}
+
+/** Show whether the three selected cards form a Set, or how many more to pick. */
+function renderExplanation() {
+  if (selectedIndices.size === 0) {
+    explainEl.classList.add('hidden');
+    return;
+  }
+  explainEl.classList.remove('hidden');
+
+  if (selectedIndices.size < 3) {
+    const remaining = 3 - selectedIndices.size;
+    explainVerdict.textContent = `Select ${remaining} more ${pluralize(remaining, 'card')} to check them.`;
+    explainList.innerHTML = '';
+    return;
+  }
+
+  const cards = [...selectedIndices].sort((a, b) => a - b).map(i => allCards[i]);
+  const explanation = explainSet(...cards);
+  explainVerdict.textContent = explanation.isSet ? 'Set ✓' : 'Not a Set ✗';
+  renderSetExplanation(explanation, explainList);
+}
+
 function updatePickerHighlights() {
   for (const el of cardPickerEl.children) {
     const idx = Number(el.dataset.deckIdx);
@@ -103,11 +217,18 @@ function clearBoard() {
   syncBoardUI();
 }
 
-function dealRandom() {
+/**
+ * Replace the board with the top BOARD_SIZE cards of a shuffled deck.
+ * @param {number|null} seed  Shuffle seed for a reproducible deal; null for a fresh one.
+ */
+function dealRandom(seed = null) {
   boardIndices.clear();
-  const shuffled = shuffle([...Array(allCards.length).keys()]);
-  for (let i = 0; i < Math.min(BOARD_SIZE, shuffled.length); i++) {
-    boardIndices.add(shuffled[i]);
+  const rng      = seed === null ? Math.random : createRng(seed);
+  const shuffled = shuffle([...Array(allCards.length).keys()], rng);
+  // Take from the end, as play.js deals with deck.pop(), so a seed shows the
+  // same opening 12 cards on both pages.
+  for (const idx of shuffled.slice(-BOARD_SIZE)) {
+    boardIndices.add(idx);
   }
   syncBoardUI();
 }
@@ -138,18 +259,126 @@ function clearResults() {
   setsResultList.innerHTML = '';
 }
 
+// ── Board notation & sharing ──────────────────────────────────
+/** Board cards in display order (canonical deck order). */
+function boardCards() {
+  return [...boardIndices].sort((a, b) => a - b).map(i => allCards[i]);
+}
+
+/**
+ * Replace the board with the given cards.
+ * @param {object[]} cards
+ */
+function setBoardCards(cards) {
+  boardIndices.clear();
+  for (const card of cards) boardIndices.add(indexByCode.get(formatCard(card)));
+  syncBoardUI();
+}
+
+/** Mirror the board into the URL hash without adding a history entry. */
+function writeBoardHash() {
+  const cards = boardCards();
+  const hash  = cards.length ? HASH_PREFIX + formatBoard(cards, HASH_SEPARATOR) : '';
+  if (window.location.hash === hash) return;
+  // The hash fully describes the board, so any ?seed= is dropped here.
+  history.replaceState(null, '', window.location.pathname + hash);
+}
+
+/**
+ * Load the board from the URL hash, if it holds one.
+ * @returns {boolean}  true when the hash contained a board (valid or not)
+ */
+function loadBoardFromHash() {
+  const hash = window.location.hash;
+  if (!hash.startsWith(HASH_PREFIX)) return false;
+  try {
+    setBoardCards(parseBoard(decodeURIComponent(hash.slice(HASH_PREFIX.length))));
+  } catch (err) {
+    renderBoard();
+    showNotationStatus(`Couldn't load board from link: ${err.message}`);
+  }
+  return true;
+}
+
+function loadBoardFromNotation() {
+  try {
+    setBoardCards(parseBoard(notationInput.value));
+    showNotationStatus(`Loaded ${boardIndices.size} ${pluralize(boardIndices.size, 'card')}.`, true);
+  } catch (err) {
+    showNotationStatus(err.message);
+  }
+}
+
+/**
+ * Copy text to the clipboard and report the outcome in the status line.
+ * @param {string} text
+ * @param {string} successMsg
+ */
+async function copyText(text, successMsg) {
+  try {
+    await navigator.clipboard.writeText(text);
+    showNotationStatus(successMsg, true);
+  } catch {
+    showNotationStatus('Couldn\'t access the clipboard — select the text and copy it manually.');
+  }
+}
+
+function showNotationStatus(message, success = false) {
+  notationStatus.textContent = message;
+  notationStatus.classList.toggle('board-notation-status--ok', success);
+  notationStatus.classList.remove('hidden');
+}
+
+function clearNotationStatus() {
+  notationStatus.textContent = '';
+  notationStatus.classList.add('hidden');
+}
+
 /** Sync all board-dependent UI after any change to boardIndices. */
 function syncBoardUI() {
+  for (const idx of selectedIndices) {
+    if (!boardIndices.has(idx)) selectedIndices.delete(idx);
+  }
   renderBoard();
+  renderExplanation();
   updatePickerHighlights();
   clearResults();
+  notationInput.value = formatBoard(boardCards());
+  clearNotationStatus();
+  writeBoardHash();
 }
 
 // ── Event Wiring ──────────────────────────────────────────────
-btnRandom.addEventListener('click', dealRandom);
+btnRandom.addEventListener('click', () => dealRandom());
 btnFindSets.addEventListener('click', findAndDisplaySets);
 btnClearBoard.addEventListener('click', clearBoard);
+btnLoadNotation.addEventListener('click', loadBoardFromNotation);
+btnCopyNotation.addEventListener('click', () => {
+  copyText(formatBoard(boardCards()), 'Board copied.');
+});
+btnCopyLink.addEventListener('click', () => {
+  copyText(window.location.href, 'Link copied.');
+});
+notationInput.addEventListener('keydown', e => {
+  // Enter loads; Shift+Enter still inserts a newline
+  if (e.key === 'Enter' && !e.shiftKey) {
+    e.preventDefault();
+    loadBoardFromNotation();
+  }
+});
+window.addEventListener('hashchange', loadBoardFromHash);
+bindThemeControls(document.getElementById('theme-select'));
+bindPaletteControls(document.getElementById('palette-select'), document.getElementById('toggle-color-cues'));
 
 // ── Init ──────────────────────────────────────────────────────
 renderPicker();
-renderBoard();
+
+// A shared board in the hash wins over ?seed=
+const urlSeed = seedFromQuery(window.location.search);
+if (!loadBoardFromHash()) {
+  if (urlSeed !== null) {
+    dealRandom(urlSeed);
+  } else {
+    renderBoard();
+  }
+}
@@ -0,0 +1,164 @@
+/**
+ * sound.js — Sound effects and haptic feedback.
+ *
+ * Every cue is synthesized with WebAudio from a few short tones, so there
+ * are no sound files to download, and comes with a vibration pattern for
+ * devices that support navigator.vibrate(). Browsers only allow audio after
+ * the page has been interacted with, so nothing plays — or vibrates — until
+ * the first pointer or key press, when the audio context is created.
+ *
+ * Volume (0–100) and mute are settings (prefs.js); mute silences the
+ * vibration too. No game logic here — the page says which cue to play.
+ */
+
+import { getPref, setPref, onPrefsChange, PREF_DEFAULTS } from './prefs.js';
+
+/**
+ * Cues: tones (frequency in Hz, start and duration in seconds, oscillator
+ * type, peak gain, optional glide to slideTo Hz) and a vibration pattern in ms.
+ */
+const CUES = {
+  // A light tick as a card is picked
+  select: {
+    tones:   [{ freq: 660, start: 0, duration: 0.05, type: 'triangle', gain: 0.2 }],
+    vibrate: [10],
+  },
+  // Rising major arpeggio
+  valid: {
+    tones: [
+      { freq: 523.25, start: 0,    duration: 0.12, type: 'triangle', gain: 0.3 },
+      { freq: 659.25, start: 0.08, duration: 0.12, type: 'triangle', gain: 0.3 },
+      { freq: 783.99, start: 0.16, duration: 0.22, type: 'triangle', gain: 0.3 },
+    ],
+    vibrate: [40],
+  },
+  // Low falling buzz
+  invalid: {
+    tones:   [{ freq: 220, start: 0, duration: 0.28, type: 'sawtooth', gain: 0.15, slideTo: 140 }],
+    vibrate: [80, 60, 80],
+  },
+  // Two falling notes: the computer (or another player) got there first
+  opponent: {
+    tones: [
+      { freq: 440, start: 0,   duration: 0.1,  type: 'square', gain: 0.08 },
+      { freq: 330, start: 0.1, duration: 0.16, type: 'square', gain: 0.08 },
+    ],
+    vibrate: [30],
+  },
+  // Three quick clicks, one per card dealt
+  extraDeal: {
+    tones: [0, 0.07, 0.14].map(start => ({ freq: 1200, start, duration: 0.03, type: 'square', gain: 0.06 })),
+    vibrate: [15, 40, 15, 40, 15],
+  },
+  // A short fanfare
+  gameOver: {
+    tones: [
+      { freq: 392,    start: 0,    duration: 0.15, type: 'triangle', gain: 0.3 },
+      { freq: 523.25, start: 0.15, duration: 0.15, type: 'triangle', gain: 0.3 },
+      { freq: 659.25, start: 0.3,  duration: 0.15, type: 'triangle', gain: 0.3 },
+      { freq: 783.99, start: 0.45, duration: 0.45, type: 'triangle', gain: 0.3 },
+    ],
+    vibrate: [60, 40, 120],
+  },
+};
+
+let context  = null;  // AudioContext, created on the first interaction
+let unlocked = false;
+
+// ── Unlock ────────────────────────────────────────────────────
+const UNLOCK_EVENTS = ['pointerdown', 'keydown'];
+
+/** The first interaction: create the audio context inside the user gesture. */
+function unlock() {
+  unlocked = true;
+  for (const type of UNLOCK_EVENTS) window.removeEventListener(type, unlock, true);
+  const AudioContextClass = window.AudioContext ?? window.webkitAudioContext;
+  if (AudioContextClass) context = new AudioContextClass();
+}
+
+for (const type of UNLOCK_EVENTS) window.addEventListener(type, unlock, true);
+
+// ── Playback ──────────────────────────────────────────────────
+/**
+ * Schedule one tone with a quick attack and an exponential fade.
+ * @param {GainNode} out
+ * @param {Object}   tone  A CUES tone
+ */
+function playTone(out, { freq, start, duration, type, gain, slideTo }) {
+  const t0  = context.currentTime + start;
+  const osc = context.createOscillator();
+  const env = context.createGain();
+  osc.type = type;
+  osc.frequency.setValueAtTime(freq, t0);
+  if (slideTo) osc.frequency.exponentialRampToValueAtTime(slideTo, t0 + duration);
+  env.gain.setValueAtTime(0.0001, t0);
+  env.gain.exponentialRampToValueAtTime(gain, t0 + 0.01);
+  env.gain.exponentialRampToValueAtTime(0.0001, t0 + duration);
+  osc.connect(env).connect(out);
+  osc.start(t0);
+  osc.stop(t0 + duration + 0.02);
+}
+
+/**
+ * Play a cue and vibrate, unless muted or the page hasn't been interacted with yet.
+ * @param {string} name  'select' | 'valid' | 'invalid' | 'opponent' | 'extraDeal' | 'gameOver'
+ */
+export function playCue(name) {
+  const cue = CUES[name];
+  if (!cue || !unlocked || isMuted()) return;
+  navigator.vibrate?.(cue.vibrate);
+  const volume = getVolume();
+  if (!context || volume === 0) return;
+  if (context.state === 'suspended') context.resume();
+  const out = context.createGain();
+  out.gain.value = (volume / 100) ** 2; // loudness follows the slider more evenly than linear gain
+  out.connect(context.destination);
+  for (const tone of cue.tones) playTone(out, tone);
+}
+
+// ── Settings ──────────────────────────────────────────────────
+/** @returns {number}  0–100 */
+export function getVolume() {
+  const volume = getPref('volume');
+  return volume >= 0 && volume <= 100 ? volume : PREF_DEFAULTS.volume;
+}
+
+/**
+ * Set the effects volume and remember it.
+ * @param {number} value  0–100
+ */
+export function setVolume(value) {
+  setPref('volume', Math.min(100, Math.max(0, Math.round(value))));
+}
+
+/** @returns {boolean} */
+export function isMuted() {
+  return getPref('muted');
+}
+
+/**
+ * Mute or unmute sounds and vibration, and remember the choice.
+ * @param {boolean} on
+ */
+export function setMuted(on) {
+  setPref('muted', on);
+}
+
+/**
+ * Keep a volume slider and a "Mute" checkbox in step with the saved settings.
+ * Letting go of the slider plays a sample at the new volume.
+ * @param {HTMLInputElement} volumeEl  <input type="range" min="0" max="100">
+ * @param {HTMLInputElement} muteEl    Checkbox
+ */
+export function bindSoundControls(volumeEl, muteEl) {
+  const refresh = () => {
+    volumeEl.value    = String(getVolume());
+    volumeEl.disabled = isMuted();
+    muteEl.checked    = isMuted();
+  };
+  refresh();
+  volumeEl.addEventListener('input', () => setVolume(Number(volumeEl.value)));
+  volumeEl.addEventListener('change', () => playCue('valid'));
+  muteEl.addEventListener('change', () => setMuted(muteEl.checked));
+  onPrefsChange(refresh);
+}
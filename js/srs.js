@@ -0,0 +1,301 @@
+/**
+ * srs.js — Spaced-repetition schedule and practice boards for the trainer.
+ *
+ * Every Set pattern (setPattern() in set-logic.js) is an item in a Leitner
+ * schedule: finding a Set of that pattern quickly moves it up a box and
+ * further into the future, finding it slowly keeps it where it is, and
+ * missing it drops it back to box 1. Alongside patterns, the schedule keeps
+ * find times per card value shared by a Set ("color:purple", "shape:squiggle"
+ * — the feature a Set holds constant), so practice Sets lean toward the
+ * combinations the player is slow on too.
+ *
+ * The state is plain JSON (maps and arrays of objects, no nested arrays) so
+ * trainer.js can keep it in Firestore or localStorage. No DOM access.
+ */
+
+import { createDeck, shuffle, FEATURES } from './deck.js';
+import { findAllSets, setPattern, thirdCard } from './set-logic.js';
+import { analyzeRounds } from './analysis.js';
+import { COMPUTER } from './engine.js';
+
+/** Bump when the stored shape changes; older states start over. */
+export const TRAINER_STATE_VERSION = 1;
+
+/** Cards on a practice board. */
+export const TRAINING_BOARD_SIZE = 12;
+
+/**
+ * Every pattern a Set can have: 'S'/'D' per feature. "SSSS" is left out —
+ * three different cards can't share all four features.
+ */
+export const PATTERNS = (() => {
+  const count    = Object.keys(FEATURES).length;
+  const patterns = [];
+  for (let bits = 1; bits < 2 ** count; bits++) {
+    patterns.push([...Array(count).keys()].map(i => (bits & (1 << (count - 1 - i)) ? 'D' : 'S')).join(''));
+  }
+  return patterns;
+})();
+
+/** Wait before a pattern is due again, by box. Box 0 holds patterns never practised. */
+const BOX_INTERVALS_MS = [0, 10 * 60e3, 60 * 60e3, 24 * 3600e3, 3 * 24 * 3600e3, 7 * 24 * 3600e3, 21 * 24 * 3600e3];
+const MAX_BOX = BOX_INTERVALS_MS.length - 1;
+
+/** A find slower than this multiple of the player's average pattern time counts as slow. */
+const SLOW_FACTOR = 1.25;
+
+/** Weight of the newest find time in a running average. */
+const AVERAGE_WEIGHT = 0.3;
+
+/** Sessions kept for the progress report. */
+const MAX_SESSIONS = 100;
+
+// ── State ─────────────────────────────────────────────────────
+/**
+ * A fresh schedule: every pattern new and due now.
+ * @returns {Object}
+ */
+export function createTrainerState() {
+  const patterns = {};
+  for (const pattern of PATTERNS) {
+    patterns[pattern] = { box: 0, due: 0, reviews: 0, misses: 0, avgMs: null };
+  }
+  return { version: TRAINER_STATE_VERSION, patterns, values: {}, sessions: [], seeded: false };
+}
+
+/**
+ * Give patterns never practised a starting average and miss count from the
+ * player's game history: find times from each record's setPatterns and
+ * setTimesMs, and — in games against the computer with an event log — a
+ * miss for the pattern of every Set the computer took first.
+ * @param {Object}   state
+ * @param {Object[]} games  Game records (db.js getGames())
+ */
+export function seedFromGames(state, games) {
+  const times  = {}; // pattern → ms[]
+  const misses = {}; // pattern → count
+  for (const game of games) {
+    (game.setPatterns ?? []).forEach((pattern, i) => {
+      const ms = game.setTimesMs?.[i];
+      if (ms != null) (times[pattern] ??= []).push(ms);
+    });
+    if (game.gameMode === 'vs-computer' && game.eventLog) {
+      for (const round of analyzeRounds(game.eventLog)) {
+        if (round.by === COMPUTER) {
+          const pattern = setPattern(...round.taken);
+          misses[pattern] = (misses[pattern] ?? 0) + 1;
+        }
+      }
+    }
+  }
+  for (const [pattern, item] of Object.entries(state.patterns)) {
+    if (item.reviews > 0) continue;
+    const found = times[pattern] ?? [];
+    if (found.length) item.avgMs = found.reduce((s, ms) => s + ms, 0) / found.length;
+    item.misses = misses[pattern] ?? 0;
+  }
+  state.seeded = true;
+}
+
+// ── Scheduling ────────────────────────────────────────────────
+/**
+ * Average find time over every pattern with one, or null.
+ * @param {Object} state
+ * @returns {number|null}
+ */
+function overallAvgMs(state) {
+  const avgs = Object.values(state.patterns).map(item => item.avgMs).filter(ms => ms != null);
+  return avgs.length ? avgs.reduce((s, ms) => s + ms, 0) / avgs.length : null;
+}
+
+/**
+ * How much a pattern needs practice: slower than average and often missed
+ * weigh more; patterns never seen get a boost so each is met early on.
+ * @param {Object} item
+ * @param {number|null} overall
+ * @returns {number}
+ */
+function weakness(item, overall) {
+  const slowness = item.avgMs != null && overall ? item.avgMs / overall : 1;
+  const missRate = item.misses / Math.max(1, item.reviews + item.misses);
+  return slowness * (1 + missRate) * (item.box === 0 ? 1.5 : 1);
+}
+
+/**
+ * Pick the pattern to practise next: among the patterns due, or all of them
+ * when none is due, at random weighted by weakness().
+ * @param {Object} state
+ * @param {number} now   Date.now()
+ * @param {() => number} [rng]
+ * @returns {string}
+ */
+export function nextPattern(state, now, rng = Math.random) {
+  const entries = Object.entries(state.patterns);
+  const due     = entries.filter(([, item]) => item.due <= now);
+  const pool    = due.length ? due : entries;
+  const overall = overallAvgMs(state);
+  const weights = pool.map(([, item]) => weakness(item, overall));
+  let r = rng() * weights.reduce((s, w) => s + w, 0);
+  for (let i = 0; i < pool.length; i++) {
+    r -= weights[i];
+    if (r < 0) return pool[i][0];
+  }
+  return pool[pool.length - 1][0];
+}
+
+/**
+ * Update the schedule after one practice board.
+ * @param {Object}   state
+ * @param {object[]} set   The three cards of the Set that was practised
+ * @param {Object}   result
+ * @param {number}   result.ms  Time to find it
+ * @param {boolean}  result.ok  Found without a wrong pick or giving up
+ * @param {number}   now
+ */
+export function recordReview(state, set, { ms, ok }, now) {
+  const item    = state.patterns[setPattern(...set)];
+  const overall = overallAvgMs(state);
+  const slow    = overall !== null && ms > overall * SLOW_FACTOR;
+
+  item.reviews++;
+  if (!ok) {
+    item.misses++;
+    item.box = 1;
+  } else if (!slow) {
+    item.box = Math.min(MAX_BOX, item.box + 1);
+  } else {
+    item.box = Math.max(1, item.box);
+  }
+  item.due = now + BOX_INTERVALS_MS[item.box];
+  if (ok) item.avgMs = runningAverage(item.avgMs, ms);
+
+  for (const key of sharedValueKeys(set)) {
+    const value = (state.values[key] ??= { reviews: 0, avgMs: null });
+    value.reviews++;
+    if (ok) value.avgMs = runningAverage(value.avgMs, ms);
+  }
+}
+
+/**
+ * Store a finished session for the progress report.
+ * @param {Object} state
+ * @param {{ at: number, boards: number, found: number, avgMs: number|null }} session
+ */
+export function recordSession(state, session) {
+  state.sessions.push(session);
+  if (state.sessions.length > MAX_SESSIONS) state.sessions.splice(0, state.sessions.length - MAX_SESSIONS);
+}
+
+/**
+ * @param {number|null} avg
+ * @param {number} ms
+ * @returns {number}
+ */
+function runningAverage(avg, ms) {
+  return avg === null ? ms : avg + (ms - avg) * AVERAGE_WEIGHT;
+}
+
+/**
+ * "feature:value" keys for the features a Set holds constant.
+ * @param {object[]} set
+ * @returns {string[]}
+ */
+function sharedValueKeys([a, b]) {
+  return Object.keys(FEATURES).filter(f => a[f] === b[f]).map(f => `${f}:${a[f]}`);
+}
+
+// ── Progress ──────────────────────────────────────────────────
+/**
+ * Compare the player's earliest sessions with the latest ones.
+ * @param {Object} state
+ * @param {number} [window]  Sessions averaged at each end
+ * @returns {{ first: Object, recent: Object }|null}  Each { avgMs, accuracy };
+ *   null until there are at least two sessions
+ */
+export function progressReport(state, window = 3) {
+  const sessions = state.sessions;
+  if (sessions.length < 2) return null;
+  const size = Math.min(window, Math.floor(sessions.length / 2));
+  return {
+    first:  summarizeSessions(sessions.slice(0, size)),
+    recent: summarizeSessions(sessions.slice(-size)),
+  };
+}
+
+/**
+ * @param {Object[]} sessions
+ * @returns {{ avgMs: number|null, accuracy: number }}
+ */
+function summarizeSessions(sessions) {
+  const timed  = sessions.filter(s => s.avgMs != null);
+  const boards = sessions.reduce((s, x) => s + x.boards, 0);
+  return {
+    avgMs:    timed.length ? timed.reduce((s, x) => s + x.avgMs, 0) / timed.length : null,
+    accuracy: boards ? sessions.reduce((s, x) => s + x.found, 0) / boards : 0,
+  };
+}
+
+// ── Practice boards ───────────────────────────────────────────
+/**
+ * A Set of the given pattern. Each constant feature takes a value picked at
+ * random, weighted toward the values the player has been slow on.
+ * @param {Object} state
+ * @param {string} pattern
+ * @param {() => number} rng
+ * @returns {object[]}  Three cards
+ */
+function practiceSet(state, pattern, rng) {
+  const features = Object.keys(FEATURES);
+  const a = {};
+  const b = {};
+  features.forEach((feature, i) => {
+    const values = FEATURES[feature];
+    if (pattern[i] === 'S') {
+      a[feature] = b[feature] = weightedValue(state, feature, values, rng);
+    } else {
+      const [first, second] = shuffle(values, rng);
+      a[feature] = first;
+      b[feature] = second;
+    }
+  });
+  return [a, b, thirdCard(a, b)];
+}
+
+/**
+ * @param {Object}   state
+ * @param {string}   feature
+ * @param {any[]}    values
+ * @param {() => number} rng
+ * @returns {any}
+ */
+function weightedValue(state, feature, values, rng) {
+  const avgs    = values.map(v => state.values[`${feature}:${v}`]?.avgMs ?? null);
+  const known   = avgs.filter(ms => ms !== null);
+  const mean    = known.length ? known.reduce((s, ms) => s + ms, 0) / known.length : null;
+  const weights = avgs.map(ms => (ms !== null && mean ? ms / mean : 1));
+  let r = rng() * weights.reduce((s, w) => s + w, 0);
+  for (let i = 0; i < values.length; i++) {
+    r -= weights[i];
+    if (r < 0) return values[i];
+  }
+  return values[values.length - 1];
+}
+
+/**
+ * A practice board holding exactly one Set, of the given pattern, at random
+ * positions among cards that complete no other Set.
+ * @param {Object} state
+ * @param {string} pattern
+ * @param {() => number} [rng]
+ * @returns {{ board: object[], set: object[] }}  set holds the board's card objects
+ */
+export function generateTrainingBoard(state, pattern, rng = Math.random) {
+  const set   = practiceSet(state, pattern, rng);
+  const board = [...set];
+  for (const card of shuffle(createDeck(), rng)) {
+    if (board.length === TRAINING_BOARD_SIZE) break;
+    if (board.some(c => Object.keys(FEATURES).every(f => c[f] === card[f]))) continue;
+    if (findAllSets([...board, card]).length === 1) board.push(card);
+  }
+  return { board: shuffle(board, rng), set };
+}
@@ -0,0 +1,25 @@
+/**
+ * text.js — Small text helpers shared by the pages.
+ *
+ * No DOM access: these build strings that the pages put on screen.
+ */
+
+/**
+ * Escape text for use inside innerHTML — user-entered text such as player
+ * names, in rows built from markup.
+ * @param {*} text  Converted with String()
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, ch => `&#${ch.charCodeAt(0)};`);
+}
+
+/**
+ * English ordinal for a rank: 1 → "1st", 2 → "2nd", …
+ * @param {number} n
+ * @returns {string}
+ */
+export function ordinal(n) {
+  const suffix = { 1: 'st', 2: 'nd', 3: 'rd' }[n] ?? 'th';
+  return `${n}${suffix}`;
+}
@@ -0,0 +1,154 @@
+/**
+ * themes.js — Card themes: how the deck looks.
+ *
+ * A theme draws the three shapes, the striped fill and the card face. Its
+ * shapes are SVG markup in the 12×8 box every card symbol is drawn in
+ * (card-render.js), injected into the page as <defs> under the ids cards
+ * refer to — #oval, #diamond, #squiggle, and #hatch-red / -green / -purple
+ * for striped fills — so pages carry no defs of their own and switching
+ * themes redraws every card at once. The theme's colors and card face are
+ * set as CSS custom properties after style.css's own. Palettes
+ * (card-render.js PALETTES) still take precedence over a theme's colors; a
+ * theme can give its own colors per palette where the defaults wouldn't read
+ * on its card face.
+ *
+ * card-render.js keeps the player's choice and calls injectTheme().
+ */
+
+import { FEATURES } from './deck.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/** Shapes shared by the classic and dark decks. */
+const CLASSIC_SHAPES = {
+  oval:     '<path d="M 3,1 L 9,1 A 3,3 0 0 1 9,7 L 3,7 A 3,3 0 0 1 3,1 Z"/>',
+  diamond:  '<path d="M 6,0.5 L 11,4 L 6,7.5 L 1,4 Z"/>',
+  squiggle: '<path d="M2,6.3C1.4,6.3,0.9,6,0.5,5.5C0,4.7,0.2,3.6,1,3c1.9-1.3,4-1.7,6-0.6c0.7,0.4,1.3,0.2,1.9-0.3'
+          + 'c0.7-0.6,1.8-0.5,2.5,0.2c0.6,0.7,0.5,1.8-0.2,2.5C9.4,6.3,7.3,6.6,5.3,5.5C4.5,5.1,3.7,5.4,3,6C2.7,6.2,2.3,6.3,2,6.3z"/>',
+};
+
+const CLASSIC_NAMES = { oval: 'oval', diamond: 'diamond', squiggle: 'squiggle' };
+
+/**
+ * Selectable themes.
+ *   shapes:  SVG markup per game shape, in a 12×8 box
+ *   names:   what each shape looks like, for ARIA labels and explanations
+ *   stripes: spacing and thickness of the striped fill's lines
+ *   colors:  hex per game color; palettes: { paletteName: colors } overrides
+ *   card:    face, edge, and ink for the position keys printed on it
+ *   strokeScale: multiplies symbol outlines (--shape-stroke-scale)
+ */
+export const THEMES = {
+  classic: {
+    label:   'Classic',
+    shapes:  CLASSIC_SHAPES,
+    names:   CLASSIC_NAMES,
+    stripes: { spacing: 1.5, width: 0.5 },
+    colors:  { red: '#C93030', green: '#2A7A2A', purple: '#7040A0' },
+    card:    { background: '#ffffff', border: '#ddd', ink: '#8a9a86' },
+  },
+  // Plain figures that differ in outline, not just in detail, and bolder lines
+  geometric: {
+    label:   'Geometric',
+    shapes: {
+      oval:     '<circle cx="6" cy="4" r="3.3"/>',
+      diamond:  '<path d="M 6,0.7 L 10,7.3 L 2,7.3 Z"/>',
+      squiggle: '<rect x="2.7" y="0.7" width="6.6" height="6.6"/>',
+    },
+    names:   { oval: 'circle', diamond: 'triangle', squiggle: 'square' },
+    stripes: { spacing: 2, width: 0.8 },
+    colors:  { red: '#D0202E', green: '#12803C', purple: '#5B2A9E' },
+    card:    { background: '#ffffff', border: '#999', ink: '#666' },
+    strokeScale: 1.3,
+  },
+  // Light symbols on a dark face
+  dark: {
+    label:   'Dark',
+    shapes:  CLASSIC_SHAPES,
+    names:   CLASSIC_NAMES,
+    stripes: { spacing: 1.5, width: 0.5 },
+    colors:  { red: '#FF6B6B', green: '#4ADE80', purple: '#C4A1FF' },
+    palettes: {
+      colorblind:      { red: '#E69F00', green: '#56B4E9', purple: '#CC79A7' },
+      'high-contrast': { red: '#FF8A8A', green: '#7CFF9C', purple: '#E0C8FF' },
+    },
+    card:    { background: '#1F2329', border: '#3A4150', ink: '#7C8796' },
+  },
+};
+
+export const DEFAULT_THEME = 'classic';
+
+const DEFS_ID  = 'card-theme-defs';
+const STYLE_ID = 'card-theme-style';
+
+/**
+ * Shape symbols and striped-fill patterns for a theme.
+ * @param {Object} theme
+ * @returns {string}  Markup for a <defs> element
+ */
+function themeDefs({ shapes, stripes }) {
+  const mid     = stripes.spacing / 2;
+  const hatches = FEATURES.color.map(color => (
+    `<pattern id="hatch-${color}" x="0" y="0" width="12" height="${stripes.spacing}" patternUnits="userSpaceOnUse">`
+    + `<line x1="0" y1="${mid}" x2="12" y2="${mid}" style="stroke: var(--color-${color})" stroke-width="${stripes.width}"/>`
+    + '</pattern>'
+  ));
+  const symbols = Object.entries(shapes).map(([shape, markup]) => `<g id="${shape}">${markup}</g>`);
+  return [...hatches, ...symbols].join('');
+}
+
+/**
+ * @param {Object} colors  { red, green, purple }
+ * @returns {string}  Declarations for --color-red, …
+ */
+function colorVars(colors) {
+  return Object.entries(colors).map(([color, hex]) => `--color-${color}: ${hex};`).join(' ');
+}
+
+/**
+ * Custom properties for a theme, with any per-palette colors.
+ * @param {Object} theme
+ * @returns {string}  Style sheet text
+ */
+function themeCss({ colors, card, palettes = {}, strokeScale = 1 }) {
+  const rules = [
+    `:root { ${colorVars(colors)} --shape-stroke-scale: ${strokeScale};`
+      + ` --card-bg: ${card.background}; --card-border: ${card.border}; --card-ink: ${card.ink}; }`,
+  ];
+  for (const [palette, paletteColors] of Object.entries(palettes)) {
+    rules.push(`:root[data-palette="${palette}"] { ${colorVars(paletteColors)} }`);
+  }
+  return rules.join('\n');
+}
+
+/**
+ * Put a theme on the page, replacing the one before: its symbols in a hidden
+ * <svg> at the top of the body and its custom properties in a <style> after
+ * the page's style sheets.
+ * @param {string} name  Key of THEMES
+ */
+export function injectTheme(name) {
+  const theme = THEMES[name] ?? THEMES[DEFAULT_THEME];
+
+  let svg = document.getElementById(DEFS_ID);
+  if (!svg) {
+    svg = document.createElementNS(SVG_NS, 'svg');
+    svg.id = DEFS_ID;
+    svg.setAttribute('width', '0');
+    svg.setAttribute('height', '0');
+    svg.setAttribute('aria-hidden', 'true');
+    svg.setAttribute('style', 'position:absolute;overflow:hidden');
+    document.body.prepend(svg);
+  }
+  svg.innerHTML = `<defs>${themeDefs(theme)}</defs>`;
+
+  let style = document.getElementById(STYLE_ID);
+  if (!style) {
+    style = document.createElement('style');
+    style.id = STYLE_ID;
+    document.head.appendChild(style);
+  }
+  style.textContent = themeCss(theme);
+
+  document.documentElement.dataset.theme = THEMES[name] ? name : DEFAULT_THEME;
+}
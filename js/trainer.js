@@ -0,0 +1,337 @@
+/**
+ * trainer.js — Spaced-repetition trainer for trainer.html
+ *
+ * Each session deals SESSION_BOARDS practice boards, each holding exactly one
+ * Set of the pattern srs.js picks next — due patterns first, weighted toward
+ * those the player finds slowly or misses. The board and selection are the
+ * play page's (board-view.js). After every board the schedule is updated and
+ * saved: to Firestore for signed-in players (first seeded from their game
+ * history), to localStorage otherwise — and as a fallback when Firestore
+ * can't be reached. The report below the board compares early sessions with
+ * recent ones and lists every pattern's standing.
+ */
+
+import { onAuthStateChanged } from 'https://www.gstatic.com/firebasejs/10.14.0/firebase-auth.js';
+import { auth } from './firebase-init.js';
+import { getGames, getTrainerState, saveTrainerState } from './db.js';
+import { pluralize } from './deck.js';
+import { setPattern, describePattern } from './set-logic.js';
+import { createBoardView } from './board-view.js';
+import {
+  TRAINER_STATE_VERSION, createTrainerState, seedFromGames,
+  nextPattern, recordReview, recordSession, progressReport, generateTrainingBoard,
+} from './srs.js';
+
+// ── Constants ────────────────────────────────────────────────
+/** Practice boards in one session. */
+const SESSION_BOARDS = 10;
+
+/** Pause before the next board after finding the Set / having it shown (ms). */
+const NEXT_AFTER_FOUND_MS  = 900;
+const NEXT_AFTER_REVEAL_MS = 2400;
+
+/**
+ * localStorage key for the guest (and fallback) copy of the trainer state,
+ * stored as { owner, state }: owner is the uid that wrote it, null for a guest.
+ */
+const STORAGE_KEY = 'set.trainer';
+
+/** Sessions listed in the report. */
+const RECENT_SESSIONS = 10;
+
+// ── DOM References ───────────────────────────────────────────
+const startPanelEl  = document.getElementById('trainer-start');
+const btnStart      = document.getElementById('btn-trainer-start');
+const storageNoteEl = document.getElementById('trainer-storage-note');
+const sessionEl     = document.getElementById('trainer-session');
+const progressEl    = document.getElementById('trainer-progress-count');
+const foundEl       = document.getElementById('trainer-found');
+const avgTimeEl     = document.getElementById('trainer-avg-time');
+const feedbackEl    = document.getElementById('trainer-feedback');
+const boardEl       = document.getElementById('board');
+const btnReveal     = document.getElementById('btn-trainer-reveal');
+const btnEnd        = document.getElementById('btn-trainer-end');
+const improvementEl = document.getElementById('trainer-improvement');
+const patternsEl    = document.getElementById('trainer-patterns');
+const sessionsEl    = document.getElementById('trainer-sessions');
+
+// ── State ────────────────────────────────────────────────────
+let trainer     = null;  // srs.js state, once loaded
+let currentUser = null;
+let session     = null;  // { boards, found, times } while a session runs
+let round       = null;  // { board, set, startedAt, missed } for the board on screen
+let selected    = [];    // board indices picked so far
+let busy        = false; // true while a flash or the pause between boards runs
+let nextHandle  = null;  // setTimeout handle for the next board
+
+const boardView = createBoardView(boardEl, { onPick: toggleSelect, isLocked: () => busy || !round });
+
+onAuthStateChanged(auth, async user => {
+  currentUser = user;
+  btnStart.disabled = true;
+  trainer = await loadTrainerState(user);
+  storageNoteEl.textContent = user
+    ? 'Your schedule is saved to your account.'
+    : 'Your schedule is saved in this browser — sign in to keep it with your account.';
+  btnStart.disabled = false;
+  renderReport();
+});
+
+// ── Storage ──────────────────────────────────────────────────
+/**
+ * The signed-in player's state from Firestore — or, the first time, the
+ * browser's guest state carried over and seeded from their game history.
+ * Guests get the browser's guest copy; anyone Firestore fails for, the
+ * browser's copy of their own state. A copy another account left in the
+ * browser is never used.
+ * @param {Object|null} user
+ * @returns {Promise<Object>}
+ */
+async function loadTrainerState(user) {
+  if (!user) return readLocalState(null) ?? createTrainerState();
+  try {
+    const remote = await getTrainerState(user.uid);
+    if (remote?.version === TRAINER_STATE_VERSION) return remote;
+    const state = readLocalState(null) ?? createTrainerState();
+    if (!state.seeded) seedFromGames(state, await getGames(user.uid));
+    await saveTrainerState(user.uid, state);
+    return state;
+  } catch (err) {
+    console.error('Failed to load trainer state:', err);
+    return readLocalState(user.uid) ?? createTrainerState();
+  }
+}
+
+/**
+ * @param {string|null} owner  uid the copy must have been written for; null for a guest's
+ * @returns {Object|null}
+ */
+function readLocalState(owner) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return stored?.owner === owner && stored.state?.version === TRAINER_STATE_VERSION ? stored.state : null;
+  } catch {
+    return null; // storage blocked or unreadable
+  }
+}
+
+/** Save the state to the browser, and to Firestore when signed in. */
+function saveTrainer() {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ owner: currentUser?.uid ?? null, state: trainer }));
+  } catch {
+    // storage blocked or full — Firestore (if signed in) still has it
+  }
+  if (currentUser) {
+    saveTrainerState(currentUser.uid, trainer)
+      .catch(err => console.error('Failed to save trainer state:', err));
+  }
+}
+
+// ── Session ──────────────────────────────────────────────────
+function startSession() {
+  session = { boards: 0, found: 0, times: [] };
+  startPanelEl.classList.add('hidden');
+  sessionEl.classList.remove('hidden');
+  nextBoard();
+}
+
+function nextBoard() {
+  nextHandle = null;
+  busy = false;
+  if (session.boards >= SESSION_BOARDS) {
+    endSession();
+    return;
+  }
+  const { board, set } = generateTrainingBoard(trainer, nextPattern(trainer, Date.now()));
+  round    = { board, set, startedAt: Date.now(), missed: false };
+  selected = [];
+  boardView.clear();
+  boardView.deal(board);
+  feedbackEl.textContent = 'This board holds exactly one Set — find it.';
+  feedbackEl.className = 'trainer-feedback';
+  renderSessionStats();
+}
+
+/**
+ * Pick or unpick a board card; a third pick checks the selection.
+ * @param {number} index
+ */
+function toggleSelect(index) {
+  const pos = selected.indexOf(index);
+  if (pos !== -1) {
+    selected.splice(pos, 1);
+    boardView.setSelected(index, false);
+    return;
+  }
+  selected.push(index);
+  boardView.setSelected(index, true);
+  if (selected.length < 3) return;
+
+  const picked = selected.map(i => round.board[i]);
+  if (round.set.every(card => picked.includes(card))) {
+    finishRound(true);
+    return;
+  }
+  round.missed = true;
+  busy = true;
+  feedbackEl.textContent = 'Not a Set — keep looking.';
+  feedbackEl.className = 'trainer-feedback trainer-feedback--miss';
+  boardView.flashError(selected, () => { busy = false; });
+  selected = [];
+}
+
+/**
+ * Score the board on screen, update the schedule and queue the next board.
+ * @param {boolean} found  false when the player asked to be shown the Set
+ */
+function finishRound(found) {
+  const ms      = Date.now() - round.startedAt;
+  const ok      = found && !round.missed;
+  const pattern = setPattern(...round.set);
+  recordReview(trainer, round.set, { ms, ok }, Date.now());
+
+  session.boards++;
+  if (ok) session.found++;
+  if (found) session.times.push(ms);
+
+  boardView.clearSelected();
+  for (const card of round.set) boardView.cardEl(round.board.indexOf(card)).classList.add(found ? 'selected' : 'hint');
+  feedbackEl.textContent = found
+    ? `✓ ${formatMs(ms)} — ${pattern}: ${describePattern(pattern)}`
+    : `Here it is — ${pattern}: ${describePattern(pattern)}`;
+  feedbackEl.className = `trainer-feedback ${ok ? 'trainer-feedback--ok' : 'trainer-feedback--miss'}`;
+
+  round = null;
+  busy  = true;
+  saveTrainer();
+  renderSessionStats();
+  nextHandle = setTimeout(nextBoard, found ? NEXT_AFTER_FOUND_MS : NEXT_AFTER_REVEAL_MS);
+}
+
+/** Finish the session (all boards played, or ended early) and refresh the report. */
+function endSession() {
+  clearTimeout(nextHandle);
+  nextHandle = null;
+  round = null;
+  busy  = false;
+  if (session.boards > 0) {
+    recordSession(trainer, {
+      at:     Date.now(),
+      boards: session.boards,
+      found:  session.found,
+      avgMs:  average(session.times),
+    });
+    saveTrainer();
+  }
+  session = null;
+  boardView.clear();
+  sessionEl.classList.add('hidden');
+  startPanelEl.classList.remove('hidden');
+  renderReport();
+}
+
+function renderSessionStats() {
+  const avgMs = average(session.times);
+  progressEl.textContent = `${Math.min(session.boards + (round ? 1 : 0), SESSION_BOARDS)} / ${SESSION_BOARDS}`;
+  foundEl.textContent    = `${session.found} / ${session.boards}`;
+  avgTimeEl.textContent  = avgMs !== null ? formatMs(avgMs) : '—';
+}
+
+// ── Report ───────────────────────────────────────────────────
+function renderReport() {
+  renderImprovement();
+  renderPatternTable();
+  renderSessionList();
+}
+
+/** First sessions against recent ones: find time and accuracy. */
+function renderImprovement() {
+  const report = progressReport(trainer);
+  if (!report) {
+    improvementEl.innerHTML = '<p class="trainer-empty">Finish two sessions to see how you are improving.</p>';
+    return;
+  }
+  const { first, recent } = report;
+  const change = first.avgMs && recent.avgMs !== null ? Math.round((1 - recent.avgMs / first.avgMs) * 100) : null;
+  const stats = [
+    { label: 'First Avg Time',  value: first.avgMs  !== null ? formatMs(first.avgMs)  : '—' },
+    { label: 'Recent Avg Time', value: recent.avgMs !== null ? formatMs(recent.avgMs) : '—' },
+    { label: 'Faster By',       value: change !== null ? `${change}%` : '—' },
+    { label: 'First Accuracy',  value: formatPercent(first.accuracy) },
+    { label: 'Recent Accuracy', value: formatPercent(recent.accuracy) },
+  ];
+  improvementEl.innerHTML = stats.map(s => `
+    <div class="summary-stat">
+      <div class="summary-stat-value">${s.value}</div>
+      <div class="summary-stat-label">${s.label}</div>
+    </div>
+  `).join('');
+}
+
+/** Every pattern, slowest first, with its box and when it is next due. */
+function renderPatternTable() {
+  const now  = Date.now();
+  const rows = Object.entries(trainer.patterns)
+    .sort(([, a], [, b]) => (b.avgMs ?? -1) - (a.avgMs ?? -1));
+  patternsEl.innerHTML = rows.map(([pattern, item]) => `
+    <tr>
+      <td><span class="pattern-code">${pattern}</span> ${describePattern(pattern)}</td>
+      <td>${item.avgMs != null ? formatMs(item.avgMs) : '—'}</td>
+      <td>${item.misses}</td>
+      <td>${item.box === 0 ? 'New' : `Box ${item.box}`}</td>
+      <td>${formatDue(item.due - now)}</td>
+    </tr>
+  `).join('');
+}
+
+function renderSessionList() {
+  const recent = trainer.sessions.slice(-RECENT_SESSIONS).reverse();
+  sessionsEl.innerHTML = recent.length
+    ? recent.map(s => `
+        <tr>
+          <td>${new Date(s.at).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}</td>
+          <td>${s.found} / ${s.boards}</td>
+          <td>${s.avgMs != null ? formatMs(s.avgMs) : '—'}</td>
+        </tr>
+      `).join('')
+    : '<tr><td colspan="3" class="trainer-empty">No sessions yet.</td></tr>';
+}
+
+// ── Formatting ───────────────────────────────────────────────
+/** @param {number[]} values @returns {number|null} */
+function average(values) {
+  return values.length ? values.reduce((s, v) => s + v, 0) / values.length : null;
+}
+
+/** @param {number} ms @returns {string} e.g. "2.4s" */
+function formatMs(ms) {
+  return `${(ms / 1000).toFixed(1)}s`;
+}
+
+/** @param {number} fraction @returns {string} e.g. "80%" */
+function formatPercent(fraction) {
+  return `${Math.round(fraction * 100)}%`;
+}
+
+/**
+ * When a pattern is next due, e.g. "Now", "In 10 min", "In 3 days".
+ * @param {number} ms  Time until due
+ * @returns {string}
+ */
+function formatDue(ms) {
+  if (ms <= 0) return 'Now';
+  const minutes = Math.ceil(ms / 60e3);
+  if (minutes < 60) return `In ${minutes} min`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `In ${hours} h`;
+  const days = Math.round(hours / 24);
+  return `In ${days} ${pluralize(days, 'day')}`;
+}
+
+// ── Event Wiring ──────────────────────────────────────────────
+btnStart.addEventListener('click', startSession);
+btnReveal.addEventListener('click', () => {
+  if (round && !busy) finishRound(false);
+});
+btnEnd.addEventListener('click', endSession);
@@ -0,0 +1,460 @@
+/**
+ * room-server.mjs — Online multiplayer rooms for play.html.
+ *
+ * A small WebSocket server built only on Node's own modules (http, crypto,
+ * fs) — no npm packages, no outside services. Each room runs one
+ * authoritative game on the headless engine (js/engine.js): players send
+ * claims, and the server relays the engine's events to everyone in the room.
+ * It also serves the site's static files, so one command hosts everything:
+ *
+ *   node server/room-server.mjs [--port 8080] [--no-static]
+ *   → open http://localhost:8080/play.html and choose Online
+ *
+ * Protocol — JSON text frames on ws://<host>/ws
+ *   client → server
+ *     join    { room, name }       join a room by code; an empty code creates a new room
+ *     start   {}                   host only: deal a new game for everyone in the room
+ *     claim   { cards, version }   three card codes ("2RDS") and the board version they were picked on
+ *   server → client
+ *     joined  { room, playerId }
+ *     lobby   { room, hostId, playing, players: [{ id, name, connected }] }
+ *     started { seed, players }
+ *     event   { name, payload, version, scores, mistakes, deckCount }   one engine event
+ *     late    { cards }            your claim lost a race — not counted as a mistake
+ *     error   { message }
+ *
+ * Conflicts: messages are handled one at a time in arrival order, so of two
+ * claims on the same Set the first to arrive wins. Every board change bumps
+ * the board version; a claim whose cards have since left the board was made
+ * on an older version and is answered with `late` instead of a mistake.
+ */
+
+import { createServer } from 'node:http';
+import { createHash, randomInt } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import { extname, join, normalize, resolve, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createGame } from '../js/engine.js';
+import { formatCard } from '../js/deck.js';
+
+// ── Configuration ────────────────────────────────────────────
+const args        = process.argv.slice(2);
+const portArg     = args.indexOf('--port');
+const PORT        = Number(portArg !== -1 ? args[portArg + 1] : process.env.PORT ?? 8080);
+const SERVE_FILES = !args.includes('--no-static');
+const SITE_ROOT   = resolve(fileURLToPath(new URL('..', import.meta.url)));
+// The site's own files: its pages and favicon at the top, and these folders. Not server/, .git/ or the rest.
+const SITE_DIRS   = ['css', 'js', 'assets'];
+const SITE_FILES  = /^(?:[\w-]+\.html|favicon\.svg)$/;
+
+const WS_PATH           = '/ws';
+const WS_GUID           = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'; // RFC 6455 handshake constant
+const MAX_MESSAGE_BYTES = 16 * 1024;
+const MAX_NAME_LENGTH   = 20;
+const MAX_ROOM_PLAYERS  = 8;
+const ROOM_CODE_CHARS   = 'ABCDEFGHJKLMNPQRSTUVWXYZ'; // no I or O — easy to read aloud
+const ROOM_CODE_LENGTH  = 4;
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js':   'text/javascript; charset=utf-8',
+  '.mjs':  'text/javascript; charset=utf-8',
+  '.css':  'text/css; charset=utf-8',
+  '.svg':  'image/svg+xml',
+  '.png':  'image/png',
+  '.ico':  'image/x-icon',
+  '.json': 'application/json',
+};
+
+// ── WebSocket framing ────────────────────────────────────────
+const OP_CONTINUATION = 0x0;
+const OP_TEXT         = 0x1;
+const OP_CLOSE        = 0x8;
+const OP_PING         = 0x9;
+const OP_PONG         = 0xA;
+
+/**
+ * Build one unmasked, unfragmented frame (server → client frames are never masked).
+ * @param {number} opcode
+ * @param {Buffer} payload
+ * @returns {Buffer}
+ */
+function encodeFrame(opcode, payload) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Wrap an upgraded socket as a message connection.
+ * Reassembles fragmented text messages, answers pings, and closes on
+ * protocol errors (unmasked or binary frames, oversized messages).
+ * @param {import('node:net').Socket} socket
+ * @param {(text: string) => void} onMessage
+ * @param {() => void} onClose
+ * @returns {{ send: (msg: Object) => void, close: () => void }}
+ */
+function createConnection(socket, onMessage, onClose) {
+  let buffered  = Buffer.alloc(0);
+  let fragments = [];
+  let closed    = false;
+
+  function close(code = 1000) {
+    if (closed) return;
+    closed = true;
+    const body = Buffer.alloc(2);
+    body.writeUInt16BE(code, 0);
+    socket.end(encodeFrame(OP_CLOSE, body));
+    onClose();
+  }
+
+  function handleFrame(fin, opcode, payload) {
+    if (opcode === OP_PING)  { socket.write(encodeFrame(OP_PONG, payload)); return; }
+    if (opcode === OP_PONG)  return;
+    if (opcode === OP_CLOSE) { close(); return; }
+    if (opcode !== OP_TEXT && opcode !== OP_CONTINUATION) { close(1003); return; } // binary unsupported
+
+    fragments.push(payload);
+    const size = fragments.reduce((n, f) => n + f.length, 0);
+    if (size > MAX_MESSAGE_BYTES) { close(1009); return; }
+    if (!fin) return;
+    const text = Buffer.concat(fragments).toString('utf8');
+    fragments = [];
+    onMessage(text);
+  }
+
+  socket.on('data', chunk => {
+    buffered = Buffer.concat([buffered, chunk]);
+    while (!closed && buffered.length >= 2) {
+      const fin    = (buffered[0] & 0x80) !== 0;
+      const opcode = buffered[0] & 0x0F;
+      const masked = (buffered[1] & 0x80) !== 0;
+      let length   = buffered[1] & 0x7F;
+      let offset   = 2;
+
+      if (length === 126) {
+        if (buffered.length < 4) return;
+        length = buffered.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (buffered.length < 10) return;
+        const long = buffered.readBigUInt64BE(2);
+        length = long > BigInt(MAX_MESSAGE_BYTES) ? Infinity : Number(long);
+        offset = 10;
+      }
+      if (!masked)                       { close(1002); return; } // clients must mask
+      if (length > MAX_MESSAGE_BYTES)    { close(1009); return; }
+      if (buffered.length < offset + 4 + length) return;        // wait for the rest
+
+      const mask    = buffered.subarray(offset, offset + 4);
+      const payload = Buffer.from(buffered.subarray(offset + 4, offset + 4 + length));
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+      buffered = buffered.subarray(offset + 4 + length);
+      handleFrame(fin, opcode, payload);
+    }
+  });
+
+  socket.on('close', () => {
+    if (closed) return;
+    closed = true;
+    onClose();
+  });
+  socket.on('error', () => socket.destroy());
+
+  return {
+    send(msg) {
+      if (!closed) socket.write(encodeFrame(OP_TEXT, Buffer.from(JSON.stringify(msg))));
+    },
+    close,
+  };
+}
+
+// ── Rooms ────────────────────────────────────────────────────
+/** Room code → room. A room is deleted when its last player disconnects. */
+const rooms = new Map();
+
+/**
+ * A room:
+ *   code     — join code, e.g. "KQXT"
+ *   players  — [{ id, name, conn, connected }], in join order; ids are engine claimants
+ *   hostId   — player allowed to start games (the earliest still connected)
+ *   nextId   — counter for player ids
+ *   game     — engine instance of the current or last game, or null
+ *   version  — board version, bumped whenever the board changes
+ */
+function createRoom(code) {
+  const room = { code, players: [], hostId: null, nextId: 1, game: null, version: 0 };
+  rooms.set(code, room);
+  return room;
+}
+
+/** @returns {string} An unused room code */
+function newRoomCode() {
+  for (;;) {
+    let code = '';
+    for (let i = 0; i < ROOM_CODE_LENGTH; i++) code += ROOM_CODE_CHARS[randomInt(ROOM_CODE_CHARS.length)];
+    if (!rooms.has(code)) return code;
+  }
+}
+
+/**
+ * Room codes are case-insensitive letters and digits.
+ * @param {any} raw
+ * @returns {string}  '' when no usable code was given
+ */
+function normalizeRoomCode(raw) {
+  return String(raw ?? '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 8);
+}
+
+function isPlaying(room) {
+  return room.game !== null && !room.game.state.over;
+}
+
+function broadcast(room, msg) {
+  for (const player of room.players) {
+    if (player.connected) player.conn.send(msg);
+  }
+}
+
+function sendLobby(room) {
+  broadcast(room, {
+    type:    'lobby',
+    room:    room.code,
+    hostId:  room.hostId,
+    playing: isPlaying(room),
+    players: room.players.map(({ id, name, connected }) => ({ id, name, connected })),
+  });
+}
+
+/** Deal a new game in the room and relay every engine event to its players. */
+function startRoomGame(room) {
+  const game = createGame();
+  room.game    = game;
+  room.version = 0;
+
+  const relay = name => payload => {
+    if (name === 'cardsDealt' || name === 'setClaimed') room.version++;
+    broadcast(room, {
+      type:      'event',
+      name,
+      payload,
+      version:   room.version,
+      scores:    game.state.scores,
+      mistakes:  game.state.mistakes,
+      deckCount: game.state.deck.length,
+    });
+  };
+  for (const name of ['cardsDealt', 'setClaimed', 'mistake', 'extraCardsDealt', 'gameOver']) {
+    game.on(name, relay(name));
+  }
+
+  broadcast(room, {
+    type:    'started',
+    seed:    game.state.seed,
+    players: room.players.map(({ id, name }) => ({ id, name })),
+  });
+  game.start();
+  sendLobby(room);
+}
+
+/**
+ * Resolve a claim. Cards are matched by code, so a claim stays meaningful
+ * however the board has shifted since the player picked it.
+ * @param {Object}   room
+ * @param {Object}   player
+ * @param {string[]} codes    Three card codes
+ * @param {number}   version  Board version the player picked on
+ */
+function handleClaim(room, player, codes, version) {
+  const game = room.game;
+  if (!isPlaying(room)) return;
+  if (!Array.isArray(codes) || codes.length !== 3 || new Set(codes).size !== 3) {
+    player.conn.send({ type: 'error', message: 'A claim needs three different cards.' });
+    return;
+  }
+
+  const boardCodes = game.state.board.map(formatCard);
+  const indices    = codes.map(code => boardCodes.indexOf(code));
+  if (indices.includes(-1)) {
+    // Only an outdated board can be missing the cards; anything else is a confused client.
+    if (version < room.version) player.conn.send({ type: 'late', cards: codes });
+    else player.conn.send({ type: 'error', message: 'Those cards are not on the board.' });
+    return;
+  }
+
+  if (!game.claimSet(indices, player.id)) return; // mistake — relayed by the engine
+  while (game.needsExtraCards()) game.dealExtraCards();
+  game.checkGameOver();
+  if (game.state.over) sendLobby(room);
+}
+
+// ── Connections ──────────────────────────────────────────────
+/**
+ * Handle one client for the lifetime of its socket.
+ * @param {import('node:net').Socket} socket
+ */
+function handleClient(socket) {
+  let room   = null;
+  let player = null;
+
+  const conn = createConnection(socket, text => {
+    let msg;
+    try {
+      msg = JSON.parse(text);
+    } catch {
+      msg = null;
+    }
+    if (typeof msg !== 'object' || msg === null || Array.isArray(msg)) {
+      conn.send({ type: 'error', message: 'Malformed message.' });
+      return;
+    }
+
+    if (msg.type === 'join') {
+      if (room) return; // one room per connection
+      const code   = normalizeRoomCode(msg.room);
+      const target = code ? rooms.get(code) ?? createRoom(code) : createRoom(newRoomCode());
+      if (isPlaying(target)) {
+        conn.send({ type: 'error', message: `A game is in progress in room ${target.code} — try again when it ends.` });
+        return;
+      }
+      if (target.players.filter(p => p.connected).length >= MAX_ROOM_PLAYERS) {
+        conn.send({ type: 'error', message: `Room ${target.code} is full.` });
+        return;
+      }
+      room   = target;
+      player = {
+        id:        `p${room.nextId++}`,
+        name:      String(msg.name ?? '').trim().slice(0, MAX_NAME_LENGTH) || `Player ${room.nextId - 1}`,
+        conn,
+        connected: true,
+      };
+      room.players = room.players.filter(p => p.connected); // forget players who left between games
+      room.players.push(player);
+      room.hostId ??= player.id;
+      conn.send({ type: 'joined', room: room.code, playerId: player.id });
+      sendLobby(room);
+      return;
+    }
+
+    if (!room) {
+      conn.send({ type: 'error', message: 'Join a room first.' });
+      return;
+    }
+
+    if (msg.type === 'start') {
+      if (player.id !== room.hostId) conn.send({ type: 'error', message: 'Only the host can start a game.' });
+      else if (!isPlaying(room)) startRoomGame(room);
+    } else if (msg.type === 'claim') {
+      handleClaim(room, player, msg.cards, Number(msg.version));
+    } else {
+      conn.send({ type: 'error', message: `Unknown message type "${msg.type}".` });
+    }
+  }, () => {
+    if (!room) return;
+    player.connected = false;
+    if (room.players.every(p => !p.connected)) {
+      rooms.delete(room.code);
+      return;
+    }
+    if (room.hostId === player.id) room.hostId = room.players.find(p => p.connected).id;
+    sendLobby(room);
+  });
+}
+
+// ── HTTP ─────────────────────────────────────────────────────
+/**
+ * The decoded path of a request's URL.
+ * @param {import('node:http').IncomingMessage} req
+ * @returns {string|null}  null when the URL or its encoding is malformed
+ */
+function requestPath(req) {
+  try {
+    return decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether a path under the site root is one of the site's own files.
+ * @param {string} relPath  Normalized, relative to SITE_ROOT
+ * @returns {boolean}
+ */
+function isSiteFile(relPath) {
+  const segments = relPath.split(sep);
+  if (segments.some(segment => segment === '' || segment.startsWith('.'))) return false;
+  return segments.length === 1 ? SITE_FILES.test(segments[0]) : SITE_DIRS.includes(segments[0]);
+}
+
+/**
+ * Serve one of the site's files, refusing paths that escape it or lead
+ * anywhere else in the repository.
+ * @param {import('node:http').IncomingMessage} req
+ * @param {import('node:http').ServerResponse}  res
+ */
+async function serveStatic(req, res) {
+  const pathname = requestPath(req);
+  if (pathname === null) {
+    res.writeHead(400, { 'Content-Type': 'text/plain' }).end('Bad request');
+    return;
+  }
+  const filePath = normalize(join(SITE_ROOT, pathname === '/' ? 'index.html' : pathname));
+  if (!filePath.startsWith(SITE_ROOT + sep) || !isSiteFile(filePath.slice(SITE_ROOT.length + 1))) {
+    res.writeHead(403).end('Forbidden');
+    return;
+  }
+  try {
+    const body = await readFile(filePath);
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[extname(filePath)] ?? 'application/octet-stream' });
+    res.end(body);
+  } catch {
+    res.writeHead(404, { 'Content-Type': 'text/plain' }).end('Not found');
+  }
+}
+
+const server = createServer((req, res) => {
+  if (SERVE_FILES && (req.method === 'GET' || req.method === 'HEAD')) {
+    serveStatic(req, res).catch(err => {
+      console.error('Failed to serve', req.url, err);
+      if (!res.headersSent) res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end();
+    });
+    return;
+  }
+  res.writeHead(SERVE_FILES ? 405 : 404, { 'Content-Type': 'text/plain' }).end();
+});
+
+server.on('upgrade', (req, socket) => {
+  const key = req.headers['sec-websocket-key'];
+  if (requestPath(req) !== WS_PATH ||
+      req.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+  const accept = createHash('sha1').update(key + WS_GUID).digest('base64');
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\n' +
+    'Upgrade: websocket\r\n' +
+    'Connection: Upgrade\r\n' +
+    `Sec-WebSocket-Accept: ${accept}\r\n\r\n`,
+  );
+  socket.setNoDelay(true);
+  handleClient(socket);
+});
+
+server.listen(PORT, () => {
+  console.log(`Set room server on ws://localhost:${PORT}${WS_PATH}`);
+  if (SERVE_FILES) console.log(`Play at http://localhost:${PORT}/play.html`);
+});